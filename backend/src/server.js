@@ -1,8 +1,16 @@
 import express from 'express';
 import cors from 'cors';
+import http from 'http';
+import { Server } from 'socket.io';
 import { DynamicPUCResearchService } from './services/ai.js';
+import browserPool from './services/browserPool.js';
+import { shutdownOcr } from './services/ocr.js';
+import { getCaseSource, getRegisteredUtilityTypes, isRegisteredUtilityType } from './services/caseSources.js';
+import { DEFAULT_SELECTION, getDocumentClasses, isDocumentClass } from './services/documentClassifier.js';
+import { getFactKinds } from './services/factExtractor.js';
 
 const app = express();
+const httpServer = http.createServer(app);
 const port = 3002; // Port for the backend server
 
 // Middleware
@@ -16,7 +24,48 @@ app.use(express.json()); // Enable JSON body parsing
 const researchService = new DynamicPUCResearchService();
 let isServiceInitialized = false;
 
+// Real-time research progress - clients join one room per research job
+const io = new Server(httpServer, { cors: corsOptions });
+const jobRoom = (jobId) => `research:${jobId}`;
 
+io.on('connection', (socket) => {
+  socket.on('research:subscribe', (jobId, ack) => {
+    const job = researchService.getJob(jobId);
+    if (!job) {
+      if (typeof ack === 'function') ack({ success: false, message: 'Research job not found or expired' });
+      return;
+    }
+
+    socket.join(jobRoom(jobId));
+    console.log(`📡 Socket ${socket.id} subscribed to research job ${jobId}`);
+    // Send the current state so late subscribers don't wait for the next tick
+    if (typeof ack === 'function') ack({ success: true, job });
+  });
+
+  socket.on('research:unsubscribe', (jobId) => {
+    socket.leave(jobRoom(jobId));
+  });
+});
+
+researchService.on('progress', (jobId, progress) => {
+  io.to(jobRoom(jobId)).emit('research:progress', { jobId, ...progress });
+});
+
+researchService.on('phase', (jobId, phaseEvent) => {
+  io.to(jobRoom(jobId)).emit('research:phase', { jobId, ...phaseEvent });
+});
+
+researchService.on('manifest', (jobId, linkManifest) => {
+  io.to(jobRoom(jobId)).emit('research:manifest', { jobId, linkManifest });
+});
+
+researchService.on('corpus', (jobId, corpusEvent) => {
+  io.to(jobRoom(jobId)).emit('research:corpus', { jobId, ...corpusEvent });
+});
+
+researchService.on('status', (jobId, statusEvent) => {
+  io.to(jobRoom(jobId)).emit('research:status', { jobId, ...statusEvent });
+});
 
 // API Endpoints
 
@@ -46,19 +95,136 @@ app.post('/api/initialize', async (req, res) => {
   }
 });
 
-// Endpoint to start research
+// Endpoint to start research - returns a job ID immediately, the crawl runs in the background
 app.post('/api/research', async (req, res) => {
   try {
-    const { query, utilityType, fromYear, toYear } = req.body;
-    const result = await researchService.startResearch(
+    const { query, utilityType, fromYear, toYear, sessionId, documentClasses } = req.body;
+    if (!query) {
+      return res.status(400).json({ success: false, message: 'Missing required parameter: query' });
+    }
+
+    // Accept a single utility type or a list; omitted means the service default
+    const utilities = utilityType === undefined ? undefined : [].concat(utilityType);
+    const unsupported = (utilities || []).filter(type => !isRegisteredUtilityType(type));
+    if (utilities?.length === 0 || unsupported.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported utilityType: ${unsupported.join(', ') || '(empty)'}. Supported: ${getRegisteredUtilityTypes().join(', ')}`
+      });
+    }
+
+    // Document classes to fetch, e.g. ['application', 'order']; omitted means the crawler default
+    const classes = documentClasses === undefined ? undefined : [].concat(documentClasses);
+    const unknownClasses = (classes || []).filter(documentClass => !isDocumentClass(documentClass));
+    if (classes?.length === 0 || unknownClasses.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported documentClasses: ${unknownClasses.join(', ') || '(empty)'}. Supported: ${getDocumentClasses().map(docClass => docClass.key).join(', ')}`
+      });
+    }
+
+    const job = await researchService.startResearch(
       query,
       'user-from-frontend',
-      utilityType,
-      { start: fromYear, end: toYear }
+      utilities,
+      { start: fromYear, end: toYear },
+      false,
+      sessionId,
+      classes
     );
+    res.status(202).json({
+      success: true,
+      jobId: job.job_id,
+      sessionId: job.session_id,
+      status: job.status
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Endpoint listing the utility types the crawler has case-source adapters for
+app.get('/api/utilities', (req, res) => {
+  const utilities = getRegisteredUtilityTypes().map(utilityType => {
+    const { label, caseCode } = getCaseSource(utilityType);
+    return { utilityType, label, caseCode };
+  });
+  res.json({ success: true, utilities });
+});
+
+// Endpoint listing the document classes /api/research can be asked to fetch
+app.get('/api/document-classes', (req, res) => {
+  res.json({ success: true, documentClasses: getDocumentClasses(), defaultSelection: DEFAULT_SELECTION });
+});
+
+// Endpoint listing the numeric fact kinds /api/sessions/:sessionId/facts can filter on
+app.get('/api/fact-kinds', (req, res) => {
+  res.json({ success: true, factKinds: getFactKinds() });
+});
+
+// Endpoint for a session's numeric facts (ROE, cost of debt, revenue requirement, ...)
+// Query: kind (comma-separated), caseNumber, company, utilityType, unit, minValue, maxValue, sort, limit
+app.get('/api/sessions/:sessionId/facts', (req, res) => {
+  try {
+    const result = researchService.getSessionFacts(req.params.sessionId, req.query);
     res.json({ success: true, ...result });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Endpoint for a session's case citation graph - which cases cite which, and order references left unresolved
+app.get('/api/sessions/:sessionId/citations', (req, res) => {
+  try {
+    const result = researchService.getSessionCitations(req.params.sessionId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Endpoint for one case in the citation graph: the documents citing it and the cases it cites
+app.get('/api/sessions/:sessionId/citations/:caseNumber', (req, res) => {
+  try {
+    const result = researchService.getCaseCitations(req.params.sessionId, req.params.caseNumber);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Endpoint for research job status
+app.get('/api/research/:jobId', (req, res) => {
+  const job = researchService.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Research job not found or expired' });
+  }
+  res.json({ success: true, job });
+});
+
+// Endpoint listing every document the crawl attempted and which ones the AI did not see
+app.get('/api/research/:jobId/failures', (req, res) => {
+  const job = researchService.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Research job not found or expired' });
+  }
+  res.json({
+    success: true,
+    jobId: job.job_id,
+    status: job.status,
+    failureReport: job.summary?.failureReport || null // Available once the crawl has finished
+  });
+});
+
+// Endpoint to cancel a running research job - already extracted documents stay chat-able
+// unless ?keepDocuments=false is passed
+app.delete('/api/research/:jobId', (req, res) => {
+  try {
+    const keepDocuments = req.query.keepDocuments !== 'false';
+    const job = researchService.cancelResearch(req.params.jobId, { keepDocuments });
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
 });
 
@@ -66,30 +232,31 @@ app.post('/api/research', async (req, res) => {
 // Endpoint for document URL
 app.post('/api/research/document-url', async (req, res) => {
   try {
-    const { caseNumber, documentName } = req.body;
+    const { caseNumber, documentName, pageNumber, sessionId } = req.body;
     if (!caseNumber || !documentName) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
 
-    const url = await researchService.getDocumentUrl(caseNumber, documentName);
+    const url = await researchService.getDocumentUrl(caseNumber, documentName, pageNumber, sessionId);
 
     if (url) {
       res.json({ url });
     } else {
-      // Fallback URL if no specific one is found
+      // Fall back to the case page only when no crawled document matches
       const cleanCaseNumber = caseNumber.replace(/[^A-Z0-9-]/g, '');
-      res.json({ url: `https://puc.idaho.gov/case/${cleanCaseNumber}` });
+      const caseUrl = researchService.getCaseUrl(caseNumber, sessionId);
+      res.json({ url: caseUrl || `https://puc.idaho.gov/case/${cleanCaseNumber}`, fallback: true });
     }
   } catch (error) {
     console.error('API Error fetching document URL:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
   }
 });
 
 // Endpoint for chat - Updated for optimized backend
 app.post('/api/chat', async (req, res) => {
+  const { sessionId, message } = req.body;
   try {
-    const { sessionId, message } = req.body;
     console.log(`💬 Chat request: sessionId=${sessionId}, message="${message}"`);
     
     const result = await researchService.generateChatResponse(message, sessionId);
@@ -107,21 +274,80 @@ app.post('/api/chat', async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Chat endpoint error:', error);
-    res.status(500).json({ 
-      message: "I apologize, but I encountered an error processing your request. Please try again.",
+    // Service errors with a status code (unknown/expired session, research in progress) are shown as-is
+    res.status(error.statusCode || 500).json({ 
+      message: error.statusCode ? error.message : "I apologize, but I encountered an error processing your request. Please try again.",
       citations: [],
       sessionId: sessionId 
     });
   }
 });
 
+// Endpoint for streaming chat - Server-Sent Events: 'token' events while the model writes,
+// then one 'done' event with the same structured payload /api/chat returns
+app.post('/api/chat/stream', async (req, res) => {
+  const { sessionId, message } = req.body;
+  const abortController = new AbortController();
+  console.log(`💬 Streaming chat request: sessionId=${sessionId}, message="${message}"`);
+
+  // Stop the upstream completion if the client goes away mid-stream
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  // Headers are sent lazily so session errors can still use a normal status code
+  const sendEvent = (event, data) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await researchService.streamChatResponse(
+      message,
+      sessionId,
+      (token) => sendEvent('token', { text: token }),
+      abortController.signal
+    );
+
+    if (!result) return; // Client disconnected
+
+    sendEvent('done', {
+      message: result.message,
+      citations: result.citations,
+      sessionId: result.sessionId,
+      metadata: {
+        tokensUsed: result.tokensUsed,
+        relevantDocuments: result.relevantDocuments
+      }
+    });
+    res.end();
+  } catch (error) {
+    console.error('❌ Streaming chat endpoint error:', error);
+    const errorMessage = error.statusCode ? error.message : "I apologize, but I encountered an error processing your request. Please try again.";
+    if (res.headersSent) {
+      sendEvent('error', { message: errorMessage, sessionId });
+      res.end();
+    } else {
+      res.status(error.statusCode || 500).json({ message: errorMessage, citations: [], sessionId });
+    }
+  }
+});
+
 const startServer = async () => {
   try {
     await researchService.initialize();
     isServiceInitialized = true;
     console.log('✅ Backend service initialized and ready.');
 
-    app.listen(port, () => {
+    httpServer.listen(port, () => {
       console.log(`🚀 Backend server listening on http://localhost:${port}`);
     });
   } catch (error) {
@@ -130,4 +356,14 @@ const startServer = async () => {
   }
 };
 
+// Close pooled Chromium processes and the OCR worker on shutdown so they don't outlive the server
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received - closing browser pool...`);
+  await browserPool.shutdown();
+  await shutdownOcr();
+  process.exit(0);
+};
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 startServer();
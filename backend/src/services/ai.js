@@ -1,11 +1,17 @@
 import dotenv from 'dotenv';
 import crypto from 'crypto';
+import { EventEmitter } from 'events';
 
 dotenv.config();
 
 import { crawlCases } from './crawler.js';
-import { processExtractedDocuments } from './processor.js';
 import DocumentProcessor from './processor.js';
+import { parseDiscoveryQuery } from './queryParser.js';
+import { getDocumentClassLabel } from './documentClassifier.js';
+import { getJobStorage } from './storage.js';
+import { formatPageSpan } from './testimonySegmenter.js';
+import { extractFacts, isFactKind } from './factExtractor.js';
+import { buildCitationGraph, describeCaseCitations, normalizeCaseReference, summarizeCitationGraph } from './crossReferences.js';
 
 // Configuration
 const CONFIG = {
@@ -18,18 +24,47 @@ const CONFIG = {
   // Processing parameters - optimized for document grouping
   maxContextTokens: 400000,  // Increased for 300 chunks
   maxSearchResults: 300,     // Up to 300 relevant chunks
-  keywordProximity: 1000
+  maxReferencedCases: 5,     // Cited cases from the corpus pulled into a chat answer
+  referencedCaseChunks: 10,  // ...and chunks taken from each
+  keywordProximity: 1000,
+
+  // Research jobs are kept in memory until they expire (PRD: SESSION_EXPIRY_DAYS)
+  jobExpiryDays: parseInt(process.env.SESSION_EXPIRY_DAYS) || 30
+};
+
+// Errors carrying an HTTP status so the server can tell client mistakes from failures
+function createServiceError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Human-readable step labels for each research job phase
+const PHASE_LABELS = {
+  queued: 'Queued',
+  discovery: 'Discovering matching cases',
+  link_counting: 'Counting case documents',
+  extraction: 'Extracting document text',
+  chunking: 'Chunking documents for search',
+  ready: 'Research ready for chat',
+  cancelled: 'Research cancelled'
 };
 
 /**
  * Dynamic PUC Research Service - Main AI service for Idaho PUC document research
  * Handles document crawling, processing, search, and AI-powered chat responses
+ *
+ * Emits 'progress' (jobId, snapshot), 'phase' (jobId, event), 'status' (jobId, event),
+ * 'manifest' (jobId, linkManifest) and 'corpus' (jobId, counts)
+ * while research jobs run, so the server can forward them to subscribed clients.
  */
-export class DynamicPUCResearchService {
+export class DynamicPUCResearchService extends EventEmitter {
   constructor() {
-    this.currentSession = null;
-    this.sessionDocuments = null;
+    super();
+    this.researchSessions = new Map(); // sessionId → research corpus for that session
     this.chatSessions = new Map();
+    this.researchJobs = new Map();
+    this.jobCancellations = new Map(); // jobId → { controller, keepDocuments } while the job runs
     this.processor = new DocumentProcessor();
   }
 
@@ -48,47 +83,197 @@ export class DynamicPUCResearchService {
   }
 
   // ✅ CORE SESSION MANAGEMENT
-  async startResearch(query, userId = 'default', utilities = ['electric', 'natural_gas'], dateRange = { start: '2023-01-01', end: '2025-12-31' }, testMode = false) {
-    try {
-      console.log(`🔬 Starting research: "${query}"`);
+  /**
+   * Create a research job and run the crawl → process pipeline in the background.
+   * Returns the job record immediately; poll getJob(jobId) for status.
+   */
+  async startResearch(query, userId = 'default', utilities = ['electric', 'natural_gas'], dateRange = { start: '2023-01-01', end: '2025-12-31' }, testMode = false, sessionId = null, documentClasses = null) {
+    console.log(`🔬 Starting research: "${query}"`);
+    this.pruneExpiredJobs();
+
+    // Throws a 400 on bad syntax before any job is created
+    const parsedQuery = parseDiscoveryQuery(query);
+
+    const createdAt = new Date();
+    const job = {
+      job_id: crypto.randomUUID(),
+      session_id: sessionId || `research_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      user_id: userId,
+      user_query: query,
+      parsed_query: parsedQuery,
+      utilities,
+      document_classes: documentClasses,
+      date_range: dateRange,
+      status: 'pending',
+      phase: 'queued',
+      progress: { current_step: PHASE_LABELS.queued, percentage: 0 },
+      results_summary: null,
+      summary: null,
+      link_manifest: null,
+      errors: [],
+      created_at: createdAt.toISOString(),
+      updated_at: createdAt.toISOString(),
+      completed_at: null,
+      expires_at: new Date(createdAt.getTime() + CONFIG.jobExpiryDays * 24 * 60 * 60 * 1000).toISOString()
+    };
 
-      const sessionId = `research_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      this.currentSession = {
-        id: sessionId,
-        user_id: userId,
-        query: query,
-        status: 'crawling'
-      };
+    this.researchJobs.set(job.job_id, job);
+    this.jobCancellations.set(job.job_id, { controller: new AbortController(), keepDocuments: true });
+
+    // Each session gets its own corpus; starting research again in the same session replaces it
+    this.researchSessions.set(job.session_id, {
+      id: job.session_id,
+      jobId: job.job_id,
+      userId,
+      query,
+      documents: null, // Filled incrementally as documents are chunked
+      complete: false,
+      extractedDocuments: [],
+      cases: [],
+      facts: [], // Numeric facts pulled from the chunks (factExtractor)
+      citationGraph: null, // Built on first use, dropped whenever the corpus changes
+      createdAt: job.created_at,
+      expiresAt: job.expires_at
+    });
 
-      const researchResult = await this.conductResearch(sessionId, query, utilities, dateRange, testMode);
-      
-      return {
-        sessionId,
+    // Intentionally not awaited - the HTTP request returns the job ID right away
+    this.runResearchJob(job);
+
+    return this.getJob(job.job_id);
+  }
+
+  async runResearchJob(job) {
+    const cancellation = this.jobCancellations.get(job.job_id);
+    try {
+      const researchResult = await this.conductResearch(job);
+
+      if (cancellation.controller.signal.aborted) {
+        this.updateJob(job, {
+          phase: 'cancelled',
+          progress: { ...job.progress, current_step: PHASE_LABELS.cancelled },
+          summary: researchResult.summary,
+          results_summary: {
+            cases_found: researchResult.summary.totalCases,
+            documents_downloaded: researchResult.summary.totalDocuments
+          },
+          completed_at: new Date().toISOString()
+        });
+        return;
+      }
+
+      this.updateJob(job, {
         status: 'ready',
-        query,
+        phase: 'ready',
+        progress: { ...job.progress, current_step: PHASE_LABELS.ready, percentage: 100 },
         summary: researchResult.summary,
-        canChat: true
-      };
+        results_summary: {
+          cases_found: researchResult.summary.totalCases,
+          documents_downloaded: researchResult.summary.totalDocuments
+        },
+        completed_at: new Date().toISOString()
+      });
 
     } catch (error) {
-      console.error('Error starting research:', error);
-      throw error;
+      console.error(`❌ Research job ${job.job_id} failed:`, error);
+      job.errors.push({ message: error.message, phase: job.phase, at: new Date().toISOString() });
+      const cancelled = cancellation.controller.signal.aborted;
+      this.updateJob(job, {
+        status: cancelled ? 'cancelled' : 'failed',
+        progress: { ...job.progress, current_step: cancelled ? PHASE_LABELS.cancelled : 'Research failed' },
+        completed_at: new Date().toISOString()
+      });
+    } finally {
+      this.jobCancellations.delete(job.job_id);
+    }
+  }
+
+  /**
+   * Cancel a running research job. The crawler stops between documents and closes its browsers.
+   * Documents already chunked stay in the session corpus unless keepDocuments is false.
+   */
+  cancelResearch(jobId, { keepDocuments = true } = {}) {
+    const job = this.researchJobs.get(jobId);
+    if (!job) {
+      throw createServiceError('Research job not found or expired', 404);
+    }
+
+    const cancellation = this.jobCancellations.get(jobId);
+    if (!cancellation) {
+      throw createServiceError(`Research job is already ${job.status}`, 409);
     }
+
+    console.log(`🛑 Cancelling research job ${jobId} (keepDocuments=${keepDocuments})`);
+    cancellation.keepDocuments = keepDocuments;
+    cancellation.controller.abort();
+    this.updateJob(job, {
+      status: 'cancelled',
+      progress: { ...job.progress, current_step: 'Cancelling - closing browsers' }
+    });
+
+    return this.getJob(jobId);
   }
 
-  async conductResearch(sessionId, query, utilities, dateRange) {
+  async conductResearch(job) {
+    const cancellation = this.jobCancellations.get(job.job_id);
+    // Documents are chunked into the session corpus as they land, so chat works before the crawl finishes
+    const pendingChunking = [];
     try {
       console.log('📊 Step 1: Getting documents...');
+      this.updateJob(job, {
+        status: 'crawling',
+        phase: 'discovery',
+        progress: { current_step: PHASE_LABELS.discovery, percentage: 0 }
+      });
 
       console.log('🌍 Crawling live data...');
-      const crawlerResults = await crawlCases(query, utilities, dateRange, 15);
+      const crawlerResults = await crawlCases(
+        job.user_query,
+        job.utilities,
+        job.date_range,
+        15,
+        (progressData) => this.handleCrawlProgress(job, progressData),
+        {
+          jobId: job.job_id,
+          parsedQuery: job.parsed_query,
+          documentClasses: job.document_classes,
+          signal: cancellation.controller.signal,
+          onLinkManifest: (linkManifest) => {
+            this.updateJob(job, { link_manifest: linkManifest });
+            this.emit('manifest', job.job_id, linkManifest);
+          },
+          onDocumentExtracted: (document, caseInfo) => {
+            pendingChunking.push(this.addDocumentToCorpus(job, document, caseInfo));
+          },
+          onPhaseChange: (phase) => this.updateJob(job, {
+            phase,
+            progress: { ...job.progress, current_step: PHASE_LABELS[phase] || phase }
+          })
+        }
+      );
       
-      console.log('📊 Step 2: Processing documents...');
-      const processedData = await processExtractedDocuments(crawlerResults);
+      const cancelled = cancellation.controller.signal.aborted;
+      console.log('📊 Step 2: Finishing document chunking...');
+      this.updateJob(job, {
+        status: cancelled ? 'cancelled' : 'processing',
+        phase: 'chunking',
+        progress: { ...job.progress, current_step: PHASE_LABELS.chunking }
+      });
+      await Promise.all(pendingChunking);
       
-      console.log('📊 Step 3: Preparing documents for search...');
-      this.sessionDocuments = this.prepareDocumentsForSearch(processedData.chunks);
+      const session = this.researchSessions.get(job.session_id);
+      // Only touch the corpus if the session still belongs to this job
+      if (session?.jobId === job.job_id) {
+        if (cancelled && !cancellation.keepDocuments) {
+          console.log(`🛑 Job cancelled - dropping ${session.extractedDocuments.length} extracted documents from the session`);
+          session.documents = [];
+          session.extractedDocuments = [];
+          session.cases = [];
+          session.facts = [];
+          session.citationGraph = null;
+        }
+        session.documents = session.documents || [];
+        session.complete = true;
+      }
       
       const summary = {
         totalCases: crawlerResults.summary.totalCases,
@@ -97,17 +282,293 @@ export class DynamicPUCResearchService {
         utilityTypes: crawlerResults.chatReadyData.utilityTypes,
         processingTime: crawlerResults.summary.processingTime,
         documentsByType: crawlerResults.summary.documentsByType,
-        totalChunks: this.sessionDocuments.length
+        totalChunks: session?.jobId === job.job_id ? session.documents.length : 0,
+        cancelled: !!crawlerResults.cancelled,
+        failureReport: crawlerResults.summary.failureReport || null,
+        extractionCache: crawlerResults.summary.extractionCache || null
       };
 
       console.log(`✅ Research session ready! ${summary.totalDocuments} documents processed into ${summary.totalChunks} searchable chunks`);
-      return { summary, chunks: this.sessionDocuments };
+      return { summary, chunks: session?.documents || [] };
 
     } catch (error) {
       throw error;
     }
   }
 
+  // Chunk one extracted document and append it to the job's session corpus
+  async addDocumentToCorpus(job, document, caseInfo) {
+    try {
+      const processed = await this.processor.processDocument(document);
+      const session = this.researchSessions.get(job.session_id);
+      if (!processed || session?.jobId !== job.job_id) return;
+
+      session.documents = session.documents || [];
+      session.documents.push(...this.prepareDocumentsForSearch(processed.chunks));
+      session.facts.push(...extractFacts(processed.chunks));
+      session.citationGraph = null;
+      session.extractedDocuments.push({
+        caseNumber: document.caseNumber,
+        documentName: document.documentName,
+        documentUrl: document.documentUrl,
+        pages: document.pages
+      });
+      if (!session.cases.some(existing => existing.caseNumber === caseInfo.caseNumber)) {
+        session.cases.push({
+          caseNumber: caseInfo.caseNumber,
+          company: caseInfo.company,
+          caseUrl: caseInfo.caseUrl,
+          caseType: caseInfo.caseType || null,
+          dateFiled: caseInfo.dateFiled || null,
+          dateClosed: caseInfo.dateClosed || null,
+          staff: caseInfo.staff || [],
+          parties: caseInfo.parties || [],
+          intervenors: caseInfo.intervenors || []
+        });
+      }
+
+      this.emit('corpus', job.job_id, {
+        caseNumber: document.caseNumber,
+        documentName: document.documentName,
+        documents: session.extractedDocuments.length,
+        chunks: session.documents.length,
+        facts: session.facts.length
+      });
+    } catch (error) {
+      console.log(`❌ Error chunking ${document.documentName}: ${error.message}`);
+    }
+  }
+
+  // ✅ RESEARCH JOB TRACKING
+  updateJob(job, changes) {
+    const previousPhase = job.phase;
+    const previousStatus = job.status;
+    Object.assign(job, changes, { updated_at: new Date().toISOString() });
+
+    if (job.phase !== previousPhase) {
+      this.emit('phase', job.job_id, { phase: job.phase, previousPhase, status: job.status, at: job.updated_at });
+    }
+    if (job.status !== previousStatus) {
+      this.emit('status', job.job_id, { status: job.status, previousStatus, phase: job.phase, errors: job.errors, at: job.updated_at });
+    }
+    return job;
+  }
+
+  handleCrawlProgress(job, progressData) {
+    this.updateJob(job, {
+      progress: {
+        current_step: progressData.currentCase || job.progress.current_step,
+        percentage: progressData.percentage,
+        details: progressData
+      }
+    });
+    this.emit('progress', job.job_id, progressData);
+  }
+
+  getJob(jobId) {
+    const job = this.researchJobs.get(jobId);
+    if (!job) return null;
+
+    if (new Date(job.expires_at) <= new Date()) {
+      this.expireJob(jobId);
+      return null;
+    }
+
+    return { ...job, errors: [...job.errors] };
+  }
+
+  // Forget an expired job; its extracted text files expire with it
+  expireJob(jobId) {
+    this.researchJobs.delete(jobId);
+    getJobStorage(jobId).clear().catch(error => {
+      console.log(`⚠️ Could not remove stored files for job ${jobId}: ${error.message}`);
+    });
+  }
+
+  pruneExpiredJobs() {
+    const now = new Date();
+    for (const [jobId, job] of this.researchJobs) {
+      if (new Date(job.expires_at) <= now) {
+        this.expireJob(jobId);
+      }
+    }
+    for (const [sessionId, session] of this.researchSessions) {
+      if (new Date(session.expiresAt) <= now) {
+        this.researchSessions.delete(sessionId);
+        this.chatSessions.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Look up the research corpus for a session.
+   * Throws a 404 error for unknown or expired sessions.
+   */
+  getResearchSession(sessionId) {
+    const session = sessionId ? this.researchSessions.get(sessionId) : null;
+    if (!session) {
+      throw createServiceError(`Unknown research session "${sessionId}". Please start a research session first.`, 404);
+    }
+
+    if (new Date(session.expiresAt) <= new Date()) {
+      this.researchSessions.delete(sessionId);
+      this.chatSessions.delete(sessionId);
+      throw createServiceError(`Research session "${sessionId}" has expired. Please start a new research session.`, 404);
+    }
+
+    return session;
+  }
+
+  /**
+   * Query a session's numeric facts
+   * @param {string} sessionId
+   * @param {Object} [filters]
+   * @param {string|Array} [filters.kind] - Fact kind(s), e.g. 'requested_roe'
+   * @param {string} [filters.caseNumber]
+   * @param {string} [filters.company] - Case-insensitive substring
+   * @param {string} [filters.utilityType]
+   * @param {string} [filters.unit] - 'USD' or 'percent'
+   * @param {number|string} [filters.minValue]
+   * @param {number|string} [filters.maxValue]
+   * @param {string} [filters.sort] - 'value' or '-value'; document order otherwise
+   * @param {number|string} [filters.limit]
+   * @returns {Object} { sessionId, complete, total, countsByKind, facts }
+   */
+  getSessionFacts(sessionId, filters = {}) {
+    const session = this.getResearchSession(sessionId);
+
+    const kinds = [filters.kind || []].flat().flatMap(kind => String(kind).split(',')).map(kind => kind.trim()).filter(Boolean);
+    const unknownKinds = kinds.filter(kind => !isFactKind(kind));
+    if (unknownKinds.length > 0) {
+      throw createServiceError(`Unknown fact kind: ${unknownKinds.join(', ')}. See /api/fact-kinds.`, 400);
+    }
+    if (filters.unit && !['USD', 'percent'].includes(filters.unit)) {
+      throw createServiceError('unit must be "USD" or "percent"', 400);
+    }
+    if (filters.sort && !['value', '-value'].includes(filters.sort)) {
+      throw createServiceError('sort must be "value" or "-value"', 400);
+    }
+    const readNumber = (name) => {
+      if (filters[name] === undefined || filters[name] === '') return null;
+      const number = Number(filters[name]);
+      if (!Number.isFinite(number)) {
+        throw createServiceError(`${name} must be a number`, 400);
+      }
+      return number;
+    };
+    const minValue = readNumber('minValue');
+    const maxValue = readNumber('maxValue');
+    const limit = readNumber('limit');
+
+    const targetCase = filters.caseNumber ? this.normalizeCaseNumber(filters.caseNumber) : null;
+    const company = filters.company ? filters.company.toLowerCase() : null;
+
+    const matching = session.facts.filter(fact =>
+      (kinds.length === 0 || kinds.includes(fact.kind)) &&
+      (!targetCase || this.normalizeCaseNumber(fact.caseNumber) === targetCase) &&
+      (!company || (fact.company || '').toLowerCase().includes(company)) &&
+      (!filters.utilityType || fact.utilityType === filters.utilityType) &&
+      (!filters.unit || fact.unit === filters.unit) &&
+      (minValue === null || fact.value >= minValue) &&
+      (maxValue === null || fact.value <= maxValue)
+    );
+
+    if (filters.sort) {
+      const direction = filters.sort === '-value' ? -1 : 1;
+      matching.sort((a, b) => (a.value - b.value) * direction);
+    }
+
+    const countsByKind = {};
+    matching.forEach(fact => { countsByKind[fact.kind] = (countsByKind[fact.kind] || 0) + 1; });
+
+    return {
+      sessionId: session.id,
+      complete: session.complete, // False while research is still adding documents
+      total: matching.length,
+      countsByKind,
+      facts: limit !== null && limit >= 0 ? matching.slice(0, limit) : matching
+    };
+  }
+
+  // The session's case citation graph, rebuilt after new documents arrive
+  getCitationGraph(session) {
+    if (!session.citationGraph) {
+      session.citationGraph = buildCitationGraph(session.documents || [], session.cases);
+    }
+    return session.citationGraph;
+  }
+
+  /**
+   * Case citation graph for a session: every case cited or researched, the case-to-case edges,
+   * and order references that couldn't be tied to a case
+   * @returns {Object} { sessionId, complete, cases, edges, unresolved }
+   */
+  getSessionCitations(sessionId) {
+    const session = this.getResearchSession(sessionId);
+    return {
+      sessionId: session.id,
+      complete: session.complete,
+      ...summarizeCitationGraph(this.getCitationGraph(session))
+    };
+  }
+
+  /**
+   * Which session documents cite a case, and which cases that case's documents cite.
+   * Works for any well-formed case number - cases outside the corpus only have `citedBy` entries.
+   * @returns {Object} { sessionId, complete, caseNumber, company, caseUrl, inCorpus, citedBy, cites }
+   */
+  getCaseCitations(sessionId, caseNumber) {
+    const session = this.getResearchSession(sessionId);
+    const normalized = normalizeCaseReference(caseNumber);
+    if (!normalized) {
+      throw createServiceError(`"${caseNumber}" is not a case number (expected e.g. IPC-E-23-11)`, 400);
+    }
+    return {
+      sessionId: session.id,
+      complete: session.complete,
+      ...describeCaseCitations(this.getCitationGraph(session), normalized)
+    };
+  }
+
+  /**
+   * ✅ REFERENCED CASES: Chunks from corpus cases that the search results cite but that the search itself missed.
+   * Each referenced case is searched on its own so only chunks relevant to the question come in.
+   */
+  findReferencedCaseChunks(session, searchResults, query) {
+    const graph = this.getCitationGraph(session);
+    const resultCases = new Set(searchResults.map(chunk => normalizeCaseReference(chunk.metadata.caseNumber)));
+
+    // Cited cases weighted by the score of the chunks citing them
+    const referenced = new Map();
+    for (const chunk of searchResults) {
+      const citingCase = normalizeCaseReference(chunk.metadata.caseNumber);
+      const citedCases = graph.cases.get(citingCase)?.cites || new Map();
+      for (const reference of chunk.metadata.references || []) {
+        const citedCase = Array.from(citedCases.values()).find(citation => citation.references.includes(reference.reference))?.caseNumber;
+        if (!citedCase || resultCases.has(citedCase) || !graph.cases.get(citedCase)?.inCorpus) continue;
+
+        const entry = referenced.get(citedCase) || { caseNumber: citedCase, score: 0, citedBy: new Set() };
+        entry.score += chunk.score || 1;
+        entry.citedBy.add(chunk.metadata.caseNumber);
+        referenced.set(citedCase, entry);
+      }
+    }
+    if (referenced.size === 0) return [];
+
+    const caseDocuments = (caseNumber) => session.documents.filter(document => normalizeCaseReference(document.metadata.caseNumber) === caseNumber);
+    const search = (documents) => documents.some(document => document.structured)
+      ? this.enhancedJSONSearch(documents, query, CONFIG.referencedCaseChunks)
+      : this.enhancedKeywordSearch(documents, query, CONFIG.referencedCaseChunks);
+
+    return Array.from(referenced.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, CONFIG.maxReferencedCases)
+      .flatMap(entry => search(caseDocuments(entry.caseNumber)).map(chunk => ({
+        ...chunk,
+        referencedBy: Array.from(entry.citedBy)
+      })));
+  }
+
   prepareDocumentsForSearch(chunks) {
     return chunks.map(chunk => ({
       id: chunk.id,
@@ -119,109 +580,219 @@ export class DynamicPUCResearchService {
         company: chunk.company,
         utilityType: chunk.utilityType,
         caseStatus: chunk.caseStatus,
+        caseType: chunk.caseType || null,
+        dateFiled: chunk.dateFiled || null,
+        dateClosed: chunk.dateClosed || null,
         documentName: chunk.documentName,
         documentType: chunk.documentType,
+        filingSection: chunk.filingSection || null,
+        filingDate: chunk.filingDate || null,
         chunkIndex: chunk.chunkIndex,
         pageNumber: chunk.pageNumber,
-        documentUrl: chunk.documentUrl
+        pageLabel: chunk.pageLabel || null,
+        documentUrl: chunk.documentUrl,
+        ocr: !!chunk.ocr,
+        ocrConfidence: chunk.ocrConfidence ?? null,
+        heading: chunk.heading || null,
+        qaUnit: chunk.qaUnit || null,
+        references: chunk.references || []
       }
     }));
   }
 
   // ✅ MAIN CHAT RESPONSE - DOCUMENT GROUPED WITH 300 CHUNKS
-  async generateChatResponse(userMessage, sessionId = null) {
-    const currentSessionId = sessionId || crypto.randomUUID();
+  async generateChatResponse(userMessage, sessionId) {
+    const context = this.prepareChatContext(userMessage, sessionId);
     
     try {
-      const chatHistory = this.chatSessions.get(currentSessionId) || [];
-      console.log(`💬 Processing question: "${userMessage}" for session: ${currentSessionId}`);
+      if (context.noResultsResponse) {
+        return context.noResultsResponse;
+      }
 
-      chatHistory.push({ role: 'user', content: userMessage });
+      // ✅ CALL AI
+      const response = await this.requestChatCompletion(context.prompt);
+      const data = await response.json();
+      const aiResponseText = data.choices[0].message.content;
 
-      if (!this.sessionDocuments) {
-        throw new Error('No research session loaded. Please start a research session first.');
+      return this.finalizeChatResponse(context, aiResponseText);
+
+    } catch (error) {
+      console.error('Error generating chat response:', error);
+      return this.createErrorResponse(context.sessionId);
+    }
+  }
+
+  /**
+   * ✅ STREAMING CHAT RESPONSE: Same pipeline as generateChatResponse, but forwards
+   * completion tokens to onToken as they arrive. Resolves with the final structured response.
+   */
+  async streamChatResponse(userMessage, sessionId, onToken, signal = null) {
+    const context = this.prepareChatContext(userMessage, sessionId);
+    
+    try {
+      if (context.noResultsResponse) {
+        return context.noResultsResponse;
       }
 
-      // Diagnostic check
-      const structuredChunks = this.sessionDocuments.filter(chunk => chunk.structured).length;
-      const totalChunks = this.sessionDocuments.length;
-      console.log(`🔬 DIAGNOSTIC: Chunks with JSON structure: ${structuredChunks}/${totalChunks} (${Math.round(structuredChunks/totalChunks*100)}%)`);
+      const response = await this.requestChatCompletion(context.prompt, { stream: true, signal });
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let aiResponseText = '';
 
-      // ✅ ENHANCED SEARCH: Get up to 300 relevant chunks
-      const searchResults = structuredChunks > 0 ? 
-        this.enhancedJSONSearch(userMessage, CONFIG.maxSearchResults) : 
-        this.enhancedKeywordSearch(userMessage, CONFIG.maxSearchResults);
+      // OpenRouter streams OpenAI-style SSE: "data: {json}" lines, ": comment" keep-alives, "data: [DONE]"
+      const handleLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return;
 
-      if (searchResults.length === 0) {
-        return this.createNoResultsResponse(currentSessionId, chatHistory);
-      }
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return;
 
-      // ✅ USE ALL RELEVANT CHUNKS (up to 300)
-      const topChunks = searchResults;
-      console.log(`📄 Using ${topChunks.length} chunks for comprehensive analysis`);
-      
-      // ✅ BUILD DOCUMENT-GROUPED PROMPT
-      const conversationContext = chatHistory.length > 0 
-        ? chatHistory.slice(-4).map(msg => `${msg.role}: ${msg.content}`).join('\n') 
-        : 'New conversation.';
+        try {
+          const token = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (token) {
+            aiResponseText += token;
+            onToken(token);
+          }
+        } catch (parseError) {
+          console.log(`⚠️ Skipping malformed stream payload: ${payload.substring(0, 100)}`);
+        }
+      };
+
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
 
-      const documentGroupedPrompt = this.buildDocumentGroupedPrompt(topChunks, userMessage, conversationContext);
-      const estimatedTokens = Math.ceil(documentGroupedPrompt.length / 4);
-      console.log(`📄 Using document-grouped prompt: ${topChunks.length} chunks, ~${estimatedTokens} tokens`);
+      // A stream that ends without a trailing newline still has its last line (and any split character) buffered
+      buffer += decoder.decode();
+      buffer.split('\n').forEach(handleLine);
 
-      // ✅ CALL AI
-      const response = await fetch(`${CONFIG.openRouter.baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${CONFIG.openRouter.apiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': process.env.APP_REFERER_URL || 'https://idaho-puc-research.local',
-          'X-Title': 'Idaho PUC Research Assistant'
-        },
-        body: JSON.stringify({
-          model: 'google/gemini-2.5-flash',
-          messages: [{ role: 'user', content: documentGroupedPrompt }],
-          temperature: 0.1,
-          max_tokens: 4000
-        })
-      });
+      return this.finalizeChatResponse(context, aiResponseText);
 
-      if (!response.ok) {
-        throw new Error(`OpenRouter API error: ${response.status} ${response.statusText}`);
+    } catch (error) {
+      if (signal?.aborted) {
+        console.log(`🛑 Chat stream aborted by client for session: ${context.sessionId}`);
+        return null;
       }
+      console.error('Error streaming chat response:', error);
+      return this.createErrorResponse(context.sessionId);
+    }
+  }
 
-      const data = await response.json();
-      const aiResponseText = data.choices[0].message.content;
+  // Search the session corpus and build the prompt - shared by the blocking and streaming chat paths
+  prepareChatContext(userMessage, sessionId) {
+    // Unknown/expired sessions are caller errors - let them propagate with their status code
+    const session = this.getResearchSession(sessionId);
+    if (!session.documents) {
+      throw createServiceError(`Research for session "${sessionId}" has no documents yet. Please wait for the first documents to be extracted.`, 409);
+    }
 
-      console.log(`📝 AI Response preview: ${aiResponseText.substring(0, 300)}...`);
+    const currentSessionId = session.id;
+    const sessionDocuments = session.documents;
+    const chatHistory = this.chatSessions.get(currentSessionId) || [];
+    console.log(`💬 Processing question: "${userMessage}" for session: ${currentSessionId}`);
 
-      // ✅ PARSE AND ENHANCE RESPONSE
-      let structuredResponse = this.parseAIResponse(aiResponseText);
-      structuredResponse = this.addClickableUrlsToDocumentCitations(structuredResponse, topChunks);
-      
-      console.log(`✅ Generated comprehensive response with ${structuredResponse.citations.length} document citations`);
-      
-      const botResponse = {
-        type: "bot",
-        message: structuredResponse,
-        citations: structuredResponse.citations,
-        timestamp: new Date().toISOString(),
+    chatHistory.push({ role: 'user', content: userMessage });
+
+    // Diagnostic check
+    const structuredChunks = sessionDocuments.filter(chunk => chunk.structured).length;
+    const totalChunks = sessionDocuments.length;
+    console.log(`🔬 DIAGNOSTIC: Chunks with JSON structure: ${structuredChunks}/${totalChunks} (${Math.round(structuredChunks/totalChunks*100)}%)`);
+
+    // ✅ ENHANCED SEARCH: Get up to 300 relevant chunks
+    const searchResults = structuredChunks > 0 ? 
+      this.enhancedJSONSearch(sessionDocuments, userMessage, CONFIG.maxSearchResults) : 
+      this.enhancedKeywordSearch(sessionDocuments, userMessage, CONFIG.maxSearchResults);
+
+    if (searchResults.length === 0) {
+      return {
         sessionId: currentSessionId,
-        relevantDocuments: searchResults.length,
-        tokensUsed: estimatedTokens,
-        searchMethod: 'document_grouped_comprehensive'
+        noResultsResponse: this.createNoResultsResponse(currentSessionId, chatHistory)
       };
+    }
 
-      chatHistory.push({ role: 'assistant', content: JSON.stringify(structuredResponse) });
-      this.chatSessions.set(currentSessionId, chatHistory);
-      
-      console.log(`💰 Estimated token usage: ${estimatedTokens} (comprehensive document analysis)`);
-      return botResponse;
+    // ✅ USE ALL RELEVANT CHUNKS (up to 300), plus what the cases they cite say on the question
+    const referencedChunks = this.findReferencedCaseChunks(session, searchResults, userMessage);
+    if (referencedChunks.length > 0) {
+      console.log(`🔗 Adding ${referencedChunks.length} chunks from cited cases: ${[...new Set(referencedChunks.map(chunk => chunk.metadata.caseNumber))].join(', ')}`);
+    }
+    const topChunks = [...searchResults, ...referencedChunks];
+    console.log(`📄 Using ${topChunks.length} chunks for comprehensive analysis`);
+    
+    // ✅ BUILD DOCUMENT-GROUPED PROMPT
+    const conversationContext = chatHistory.length > 0 
+      ? chatHistory.slice(-4).map(msg => `${msg.role}: ${msg.content}`).join('\n') 
+      : 'New conversation.';
 
-    } catch (error) {
-      console.error('Error generating chat response:', error);
-      return this.createErrorResponse(currentSessionId);
+    const prompt = this.buildDocumentGroupedPrompt(topChunks, userMessage, conversationContext);
+    const estimatedTokens = Math.ceil(prompt.length / 4);
+    console.log(`📄 Using document-grouped prompt: ${topChunks.length} chunks, ~${estimatedTokens} tokens`);
+
+    return {
+      sessionId: currentSessionId,
+      partialResults: !session.complete,
+      chatHistory,
+      searchResults,
+      topChunks,
+      prompt,
+      estimatedTokens
+    };
+  }
+
+  async requestChatCompletion(prompt, { stream = false, signal = null } = {}) {
+    const response = await fetch(`${CONFIG.openRouter.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${CONFIG.openRouter.apiKey}`,
+        'Content-Type': 'application/json',
+        'HTTP-Referer': process.env.APP_REFERER_URL || 'https://idaho-puc-research.local',
+        'X-Title': 'Idaho PUC Research Assistant'
+      },
+      body: JSON.stringify({
+        model: 'google/gemini-2.5-flash',
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.1,
+        max_tokens: 4000,
+        stream
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`OpenRouter API error: ${response.status} ${response.statusText}`);
     }
+
+    return response;
+  }
+
+  finalizeChatResponse(context, aiResponseText) {
+    console.log(`📝 AI Response preview: ${aiResponseText.substring(0, 300)}...`);
+
+    // ✅ PARSE AND ENHANCE RESPONSE
+    let structuredResponse = this.parseAIResponse(aiResponseText);
+    structuredResponse = this.addClickableUrlsToDocumentCitations(structuredResponse, context.topChunks);
+    
+    console.log(`✅ Generated comprehensive response with ${structuredResponse.citations.length} document citations`);
+    
+    const botResponse = {
+      type: "bot",
+      message: structuredResponse,
+      citations: structuredResponse.citations,
+      timestamp: new Date().toISOString(),
+      sessionId: context.sessionId,
+      relevantDocuments: context.searchResults.length,
+      tokensUsed: context.estimatedTokens,
+      searchMethod: 'document_grouped_comprehensive',
+      partialResults: context.partialResults // Research still running - answer covers documents extracted so far
+    };
+
+    context.chatHistory.push({ role: 'assistant', content: JSON.stringify(structuredResponse) });
+    this.chatSessions.set(context.sessionId, context.chatHistory);
+    
+    console.log(`💰 Estimated token usage: ${context.estimatedTokens} (comprehensive document analysis)`);
+    return botResponse;
   }
 
   // ✅ OPTIMIZED: buildDocumentGroupedPrompt for perfect frontend integration
@@ -239,18 +810,21 @@ export class DynamicPUCResearchService {
           caseNumber: chunk.metadata.caseNumber,
           company: chunk.metadata.company,
           documentName: chunk.metadata.documentName,
+          documentType: chunk.metadata.documentType,
           witness: this.extractWitnessName(chunk),
           documentUrl: chunk.metadata.documentUrl,
           pageNumbers: [],
           combinedContent: [],
           totalChunks: 0,
-          relevanceScore: 0
+          relevanceScore: 0,
+          referencedBy: chunk.referencedBy || null
         });
       }
       
       const doc = documentGroups.get(docKey);
-      doc.combinedContent.push(chunk.content);
+      doc.combinedContent.push(chunk.metadata.heading ? `[${chunk.metadata.heading}]\n${chunk.content}` : chunk.content);
       doc.pageNumbers.push(chunk.metadata.pageNumber);
+      if (chunk.metadata.qaUnit?.endPage) doc.pageNumbers.push(chunk.metadata.qaUnit.endPage);
       doc.totalChunks++;
       
       if (chunk.score) doc.relevanceScore += chunk.score;
@@ -271,13 +845,14 @@ export class DynamicPUCResearchService {
         caseNumber: doc.caseNumber,
         company: doc.company,
         witness: doc.witness,
-        documentName: this.cleanDocumentName(doc.documentName),
+        documentName: this.cleanDocumentName(doc.documentName, doc.documentType),
         pageRange: `${Math.min(...doc.pageNumbers)}-${Math.max(...doc.pageNumbers)}`,
         citationTemplate: doc.witness ? 
-          `${doc.company}'s Direct Testimony of ${doc.witness} in Case ${doc.caseNumber}` :
-          `${doc.company}'s ${this.cleanDocumentName(doc.documentName)} in Case ${doc.caseNumber}`,
+          `${doc.company}'s ${this.testimonyLabel(doc.documentType)} of ${doc.witness} in Case ${doc.caseNumber}` :
+          `${doc.company}'s ${this.cleanDocumentName(doc.documentName, doc.documentType)} in Case ${doc.caseNumber}`,
         content: doc.combinedContent.join('\n\n--- SECTION BREAK ---\n\n').substring(0, 6000),
-        documentUrl: doc.documentUrl
+        documentUrl: doc.documentUrl,
+        ...(doc.referencedBy && { citedInCases: doc.referencedBy })
       };
     });
 
@@ -297,6 +872,8 @@ CORRECT CITATIONS:
 "Avista Utilities' Direct Testimony of H. Rosentrater in Case AVU-E-25-01"
 "Direct Testimony of Kivisto in Case INT-G-25-02"
 
+Documents with a citedInCases field come from an earlier case that the other documents cite. Use them to explain what the cited case or order decided, and cite them like any other document.
+
 INCORRECT CITATIONS (DO NOT USE):
 "in Case IPC-E-25-16" (missing witness name)
 "Case AVU-E-25-01" (missing witness name)
@@ -380,13 +957,13 @@ Return ONLY the JSON response. No other text.`;
   }
 
   // ✅ ENHANCED SEARCH METHODS
-  enhancedJSONSearch(query, maxResults = 300) {
+  enhancedJSONSearch(documents, query, maxResults = 300) {
     console.log(`\n🔍 JSON-enhanced search for: "${query}" (up to ${maxResults} results)`);
     
     const searchTerms = this.extractKeywords(query);
     console.log(`📋 Search terms: ${searchTerms.join(', ')}`);
     
-    const scoredChunks = this.sessionDocuments.map((chunk, index) => {
+    const scoredChunks = documents.map((chunk, index) => {
       let score = 0;
       let matchedTerms = [];
       
@@ -441,6 +1018,17 @@ Return ONLY the JSON response. No other text.`;
         }
       }
       
+      // Testimony question the chunk answers
+      if (chunk.metadata.heading) {
+        const heading = chunk.metadata.heading.toLowerCase();
+        searchTerms.forEach(term => {
+          if (heading.includes(term.toLowerCase())) {
+            score += 10;
+            matchedTerms.push(`heading:${term}`);
+          }
+        });
+      }
+      
       // Fallback text search
       const content = chunk.content.toLowerCase();
       searchTerms.forEach(term => {
@@ -473,13 +1061,13 @@ Return ONLY the JSON response. No other text.`;
     return scoredChunks.slice(0, maxResults).map(item => item.chunk);
   }
 
-  enhancedKeywordSearch(query, maxResults = 300) {
+  enhancedKeywordSearch(documents, query, maxResults = 300) {
     console.log(`\n🔍 Enhanced keyword search for: "${query}" (up to ${maxResults} results)`);
     
     const searchTerms = this.extractKeywords(query);
     console.log(`📋 Search terms: ${searchTerms.join(', ')}`);
     
-    const scoredChunks = this.sessionDocuments.map((chunk, index) => {
+    const scoredChunks = documents.map((chunk, index) => {
       const content = chunk.content.toLowerCase();
       const source = chunk.metadata.documentName || '';
       
@@ -491,6 +1079,12 @@ Return ONLY the JSON response. No other text.`;
         const matches = (content.match(new RegExp(termLower, 'g')) || []).length;
         score += matches * (term.length > 3 ? 2 : 1);
         if (matches > 0) matchedTerms.push(term);
+        
+        // The testimony question the chunk answers
+        if (chunk.metadata.heading?.toLowerCase().includes(termLower)) {
+          score += 5;
+          matchedTerms.push(`heading:${term}`);
+        }
       });
       
       // Boost main testimony documents
@@ -543,17 +1137,28 @@ Return ONLY the JSON response. No other text.`;
       // Create citation object matching frontend expectations
       const citation = {
         text: witness ? 
-          `Direct Testimony of ${witness}` : 
-          this.cleanDocumentName(meta.documentName),
+          `${this.testimonyLabel(meta.documentType)} of ${witness}` : 
+          this.cleanDocumentName(meta.documentName, meta.documentType),
         caseNumber: caseNumber,
         documentName: meta.documentName,
         pages: meta.pageNumber ? meta.pageNumber.toString() : "unknown",
+        documentType: meta.documentType || null,
+        documentTypeLabel: meta.documentType ? getDocumentClassLabel(meta.documentType) : null,
         // Extended fields for better frontend experience
         company: meta.company,
         witness: witness,
         documentUrl: meta.documentUrl,
         utilityType: meta.utilityType,
         pageNumber: meta.pageNumber,
+        pageLabel: meta.pageLabel || null, // Printed testimony page, e.g. "Di 12"
+        caseType: meta.caseType || null,
+        dateFiled: meta.dateFiled || null,
+        filingDate: meta.filingDate || null,
+        // OCR'd text may contain recognition errors
+        ocr: !!meta.ocr,
+        ocrConfidence: meta.ocrConfidence ?? null,
+        // Testimony Q/A units the answer drew on: "Q/A about ROE on pages 12–13"
+        sections: [],
         // ✅ DEBUG: Track source
         debugInfo: `Chunk ${index}: ${meta.documentName}`
       };
@@ -564,6 +1169,24 @@ Return ONLY the JSON response. No other text.`;
         citationObjects.push(citation);
         
         console.log(`📝 Mapped: ${documentKey} → ${citation.company} - ${citation.witness || 'No witness'}`);
+      } else if (meta.ocr) {
+        // Any OCR'd page in the cited document makes the citation lower fidelity
+        const existing = documentMap.get(documentKey);
+        existing.ocr = true;
+        existing.ocrConfidence = Math.min(existing.ocrConfidence ?? 100, meta.ocrConfidence ?? 100);
+      }
+      
+      const qaUnit = meta.qaUnit;
+      const mapped = documentMap.get(documentKey);
+      if (qaUnit?.question && !mapped.sections.some(section => section.index === qaUnit.index)) {
+        mapped.sections.push({
+          index: qaUnit.index,
+          question: qaUnit.question,
+          pages: formatPageSpan(qaUnit.startPage, qaUnit.endPage),
+          pageLabel: qaUnit.pageLabel || null,
+          startLine: qaUnit.startLine,
+          endLine: qaUnit.endLine
+        });
       }
       
       // ✅ ALSO map by case number for fallback compatibility
@@ -686,6 +1309,84 @@ Return ONLY the JSON response. No other text.`;
     return null;
   }
 
+  // ✅ DOCUMENT URL RESOLUTION
+  /**
+   * Resolve a crawled document's viewer URL from a case number and a (possibly loose) document name.
+   * Only the given session is searched - one user's lookups never see another session's documents.
+   * Throws the unknown-session error when sessionId is missing or stale.
+   * @returns {string|null} Document URL (page-anchored when pageNumber is given), or null if nothing matches
+   */
+  async getDocumentUrl(caseNumber, documentName, pageNumber, sessionId) {
+    const session = this.getResearchSession(sessionId);
+    const targetCase = this.normalizeCaseNumber(caseNumber);
+    const targetName = this.normalizeDocumentName(documentName);
+
+    // Gather every known document for the case from extracted documents and chunk metadata
+    const candidates = new Map();
+    const chunkDocuments = (session.documents || []).map(chunk => chunk.metadata);
+    [...session.extractedDocuments, ...chunkDocuments].forEach(doc => {
+      if (!doc?.documentUrl || this.normalizeCaseNumber(doc.caseNumber) !== targetCase) return;
+      if (!candidates.has(doc.documentUrl)) {
+        candidates.set(doc.documentUrl, doc.documentName);
+      }
+    });
+
+    let bestMatch = null;
+    for (const [documentUrl, candidateName] of candidates) {
+      const score = this.scoreDocumentNameMatch(targetName, this.normalizeDocumentName(candidateName));
+      if (score > 0 && (!bestMatch || score > bestMatch.score)) {
+        bestMatch = { documentUrl, documentName: candidateName, score };
+      }
+    }
+
+    if (!bestMatch) {
+      console.log(`🔗 No document match for "${documentName}" in ${caseNumber} (${candidates.size} candidates)`);
+      return null;
+    }
+
+    console.log(`🔗 Resolved "${documentName}" → "${bestMatch.documentName}" (score ${bestMatch.score.toFixed(2)})`);
+    return this.addPageAnchor(bestMatch.documentUrl, pageNumber);
+  }
+
+  getCaseUrl(caseNumber, sessionId) {
+    const targetCase = this.normalizeCaseNumber(caseNumber);
+    const caseInfo = this.getResearchSession(sessionId).cases.find(c => this.normalizeCaseNumber(c.caseNumber) === targetCase);
+    return caseInfo?.caseUrl || null;
+  }
+
+  normalizeCaseNumber(caseNumber) {
+    return (caseNumber || '').toUpperCase().replace(/[^A-Z0-9-]/g, '');
+  }
+
+  normalizeDocumentName(documentName) {
+    return (documentName || '')
+      .toUpperCase()
+      .replace(/\.PDF$/, '')
+      .replace(/\s*-?\s*REDACTED\b/g, ' ')
+      .replace(/CONFIDENTIAL/g, ' ')
+      .replace(/[_\W]+/g, ' ')
+      .trim();
+  }
+
+  // 1 = identical, 0.9 = one name contains the other, otherwise token overlap (0 below 50%)
+  scoreDocumentNameMatch(targetName, candidateName) {
+    if (!targetName || !candidateName) return 0;
+    if (targetName === candidateName) return 1;
+    if (candidateName.includes(targetName) || targetName.includes(candidateName)) return 0.9;
+
+    const targetTokens = new Set(targetName.split(' '));
+    const candidateTokens = new Set(candidateName.split(' '));
+    const shared = [...targetTokens].filter(token => candidateTokens.has(token)).length;
+    const overlap = shared / new Set([...targetTokens, ...candidateTokens]).size;
+    return overlap >= 0.5 ? overlap * 0.8 : 0;
+  }
+
+  addPageAnchor(documentUrl, pageNumber) {
+    const page = parseInt(pageNumber);
+    if (!page || page < 1) return documentUrl;
+    return `${documentUrl.split('#')[0]}#page=${page}`;
+  }
+
   // ✅ HELPER METHODS
   extractWitnessName(chunk) {
     try {
@@ -720,7 +1421,9 @@ Return ONLY the JSON response. No other text.`;
 
 
 
-  cleanDocumentName(docName) {
+  // The document class label when the crawler classified the document, otherwise a guess from its name
+  cleanDocumentName(docName, documentType = null) {
+    if (documentType && documentType !== 'other') return getDocumentClassLabel(documentType);
     if (!docName) return 'Direct Testimony';
     
     const cleanName = docName
@@ -736,6 +1439,13 @@ Return ONLY the JSON response. No other text.`;
     return cleanName;
   }
 
+  // Witness documents are direct testimony unless classified as a later round or Staff's own
+  testimonyLabel(documentType) {
+    return ['rebuttal_testimony', 'surrebuttal_testimony', 'staff_testimony'].includes(documentType)
+      ? getDocumentClassLabel(documentType)
+      : 'Direct Testimony';
+  }
+
   extractKeywords(query) {
     const stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'what', 'how', 'when', 'where', 'why']);
     
@@ -819,11 +1529,15 @@ Return ONLY the JSON response. No other text.`;
     };
   }
 
-  getSessionStats() {
+  getSessionStats(sessionId) {
+    const session = this.researchSessions.get(sessionId);
     return {
-      documentsLoaded: this.sessionDocuments ? this.sessionDocuments.length : 0,
-      sessionReady: !!(this.sessionDocuments && this.currentSession),
-      currentSession: this.currentSession?.id || null
+      documentsLoaded: session?.documents ? session.documents.length : 0,
+      sessionReady: !!session?.complete,
+      partialResults: !!session?.documents && !session.complete,
+      sessionId: session?.id || null,
+      jobId: session?.jobId || null,
+      activeSessions: this.researchSessions.size
     };
   }
 }
@@ -838,8 +1552,8 @@ export const setupResearchService = async () => {
   return service;
 };
 
-export const startNewResearch = async (service, query, userId, utilities, dateRange) => {
-  return await service.startResearch(query, userId, utilities, dateRange);
+export const startNewResearch = async (service, query, userId, utilities, dateRange, documentClasses) => {
+  return await service.startResearch(query, userId, utilities, dateRange, false, null, documentClasses);
 };
 
 export const chatWithResearch = async (service, message, sessionId) => {
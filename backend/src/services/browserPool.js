@@ -0,0 +1,302 @@
+// backend/src/services/browserPool.js
+// Shared Puppeteer Browser Pool - Leases pages to crawler workers across cases and jobs
+
+import puppeteer from 'puppeteer';
+
+const POOL_CONFIG = {
+  maxBrowsers: parseInt(process.env.BROWSER_POOL_MAX_BROWSERS) || 3,
+  maxPagesPerBrowser: parseInt(process.env.BROWSER_POOL_MAX_PAGES_PER_BROWSER) || 5,
+  maxConcurrentPages: parseInt(process.env.BROWSER_POOL_MAX_PAGES) || 15, // Global limit across all jobs
+  browserIdleTimeout: 60000, // Close browsers nobody has used for a minute
+  launchOptions: {
+    headless: true, // SPEED: headless
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-web-security', // Needed to read the WebLink viewer iframe
+      '--disable-features=VizDisplayCompositor'
+    ]
+  }
+};
+
+/**
+ * Browser pool with a global page concurrency limit.
+ * Workers lease a page, use it, then release it; the pool keeps a few warm Chromium
+ * processes around so jobs no longer pay a cold start per case or per worker.
+ */
+class BrowserPool {
+  constructor(config = POOL_CONFIG) {
+    this.config = config;
+    this.slots = []; // { browser, launching, activePages, idlePages, idleTimer }
+    this.leases = new Set();
+    this.grantedLeases = 0; // Counted before the page exists so concurrent callers can't overshoot
+    this.waitQueue = []; // Pending acquirePage() calls waiting for a free slot
+    this.stats = { browsersLaunched: 0, pagesCreated: 0, pagesRecycled: 0, leasesGranted: 0 };
+  }
+
+  /**
+   * ✅ ACQUIRE: Lease a page for an owner (usually a research job ID).
+   * Waits while the global page limit is reached; rejects if the signal aborts first.
+   */
+  async acquirePage(ownerId = 'default', signal = null) {
+    await this.waitForCapacity(signal);
+
+    const lease = { ownerId, page: null, slot: null, crashed: false, released: false };
+    this.leases.add(lease);
+
+    try {
+      lease.slot = this.reserveSlot();
+      await this.resolveSlot(lease.slot);
+
+      lease.page = lease.slot.idlePages.pop() || await this.createPage(lease.slot);
+      lease.markCrashed = () => { lease.crashed = true; };
+      lease.page.on('error', lease.markCrashed); // Renderer crash
+      lease.page.on('close', lease.markCrashed);
+
+      this.stats.leasesGranted++;
+      return lease;
+    } catch (error) {
+      await this.releasePage(lease, { recycle: true });
+      throw error;
+    }
+  }
+
+  /**
+   * ✅ RELEASE: Return a leased page. Healthy pages go back to their browser's idle list;
+   * crashed or recycled pages are closed so the next lease gets a fresh one.
+   */
+  async releasePage(lease, { recycle = false } = {}) {
+    if (lease.released) return;
+    lease.released = true;
+    this.leases.delete(lease);
+    this.grantedLeases--;
+
+    const { slot, page } = lease;
+    if (slot) {
+      slot.activePages--;
+
+      const reusable = page && !recycle && !lease.crashed && !page.isClosed() && slot.browser?.isConnected();
+      if (page && lease.markCrashed) {
+        page.off('error', lease.markCrashed);
+        page.off('close', lease.markCrashed);
+      }
+      if (reusable) {
+        try {
+          await page.goto('about:blank');
+          slot.idlePages.push(page);
+        } catch (error) {
+          await this.closePage(page);
+        }
+      } else if (page) {
+        this.stats.pagesRecycled++;
+        await this.closePage(page);
+      }
+
+      this.scheduleIdleClose(slot);
+    }
+
+    this.grantNextWaiter();
+  }
+
+  /**
+   * ✅ REPLACE: Swap a crashed or stuck page for a fresh one without giving up the worker's place.
+   * The lease keeps its share of the page limit, so it never queues behind other waiters;
+   * only the page changes (and the browser, if the old one has gone).
+   */
+  async replacePage(lease, signal = null) {
+    if (lease.released) return this.acquirePage(lease.ownerId, signal);
+    if (signal?.aborted) {
+      await this.releasePage(lease, { recycle: true });
+      throw new Error('Crawl cancelled');
+    }
+
+    const { slot, page } = lease;
+    if (page) {
+      page.off('error', lease.markCrashed);
+      page.off('close', lease.markCrashed);
+      this.stats.pagesRecycled++;
+      await this.closePage(page);
+    }
+    lease.page = null;
+    lease.crashed = false;
+
+    try {
+      if (!slot.browser?.isConnected()) {
+        slot.activePages--;
+        this.scheduleIdleClose(slot);
+        lease.slot = this.reserveSlot();
+        await this.resolveSlot(lease.slot);
+      }
+
+      lease.page = lease.slot.idlePages.pop() || await this.createPage(lease.slot);
+      lease.page.on('error', lease.markCrashed);
+      lease.page.on('close', lease.markCrashed);
+      if (signal?.aborted) throw new Error('Crawl cancelled'); // releaseOwner ran while the page was opening
+
+      return lease;
+    } catch (error) {
+      await this.releasePage(lease, { recycle: true });
+      throw error;
+    }
+  }
+
+  async withPage(ownerId, fn, signal = null) {
+    const lease = await this.acquirePage(ownerId, signal);
+    try {
+      return await fn(lease.page);
+    } finally {
+      await this.releasePage(lease);
+    }
+  }
+
+  /**
+   * ✅ RELEASE OWNER: Close every page an owner holds (job cancellation).
+   * In-flight page operations fail fast and workers release their leases.
+   */
+  async releaseOwner(ownerId) {
+    const ownedLeases = Array.from(this.leases).filter(lease => lease.ownerId === ownerId);
+    console.log(`🛑 Closing ${ownedLeases.length} pages leased by ${ownerId}`);
+    await Promise.all(ownedLeases.map(lease => {
+      lease.crashed = true;
+      return lease.page ? this.closePage(lease.page) : null;
+    }));
+  }
+
+  async shutdown() {
+    this.waitQueue.splice(0).forEach(waiter => waiter.reject(new Error('Browser pool is shutting down')));
+    const slots = this.slots.splice(0);
+    await Promise.all(slots.map(async slot => {
+      clearTimeout(slot.idleTimer);
+      const browser = slot.browser || await slot.launching.catch(() => null);
+      if (browser) await browser.close().catch(() => {});
+    }));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      browsers: this.slots.length,
+      activePages: this.leases.size,
+      waiting: this.waitQueue.length,
+      maxConcurrentPages: this.config.maxConcurrentPages
+    };
+  }
+
+  // ✅ HELPER METHODS
+
+  waitForCapacity(signal) {
+    if (signal?.aborted) {
+      return Promise.reject(new Error('Crawl cancelled'));
+    }
+    if (this.grantedLeases < this.config.maxConcurrentPages && this.waitQueue.length === 0) {
+      this.grantedLeases++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      if (signal) {
+        const onAbort = () => {
+          this.waitQueue = this.waitQueue.filter(w => w !== waiter);
+          reject(new Error('Crawl cancelled'));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        waiter.resolve = () => {
+          signal.removeEventListener('abort', onAbort);
+          resolve();
+        };
+      }
+      this.waitQueue.push(waiter);
+    });
+  }
+
+  grantNextWaiter() {
+    if (this.grantedLeases < this.config.maxConcurrentPages && this.waitQueue.length > 0) {
+      this.grantedLeases++;
+      this.waitQueue.shift().resolve();
+    }
+  }
+
+  // Pick a browser synchronously and count the page against it before any await
+  reserveSlot() {
+    const connected = this.slots.filter(slot => slot.launching || slot.browser?.isConnected());
+    const byLoad = (a, b) => a.activePages - b.activePages;
+    const available = connected.filter(slot => slot.activePages < this.config.maxPagesPerBrowser).sort(byLoad)[0];
+
+    let slot;
+    if (available && (available.activePages === 0 || this.slots.length >= this.config.maxBrowsers)) {
+      slot = available;
+    } else if (this.slots.length < this.config.maxBrowsers) {
+      slot = this.launchSlot();
+    } else {
+      // All browsers full - share the least loaded one
+      slot = connected.sort(byLoad)[0] || this.launchSlot();
+    }
+
+    slot.activePages++;
+    clearTimeout(slot.idleTimer);
+    return slot;
+  }
+
+  launchSlot() {
+    const slot = { browser: null, launching: null, activePages: 0, idlePages: [], idleTimer: null };
+    slot.launching = puppeteer.launch(this.config.launchOptions).then(browser => {
+      slot.browser = browser;
+      slot.launching = null;
+      this.stats.browsersLaunched++;
+
+      // Crashed Chromium processes drop out of the pool and are relaunched on demand
+      browser.once('disconnected', () => {
+        clearTimeout(slot.idleTimer);
+        this.slots = this.slots.filter(s => s !== slot);
+      });
+      return browser;
+    }).catch(error => {
+      this.slots = this.slots.filter(s => s !== slot);
+      throw error;
+    });
+
+    this.slots.push(slot);
+    console.log(`🌐 Launching pooled browser ${this.slots.length}/${this.config.maxBrowsers}`);
+    return slot;
+  }
+
+  async resolveSlot(slot) {
+    if (slot.launching) {
+      await slot.launching;
+    }
+    return slot;
+  }
+
+  async createPage(slot) {
+    const page = await slot.browser.newPage();
+    this.stats.pagesCreated++;
+    return page;
+  }
+
+  async closePage(page) {
+    try {
+      if (!page.isClosed()) await page.close();
+    } catch (error) {
+      // Page or browser already gone
+    }
+  }
+
+  scheduleIdleClose(slot) {
+    clearTimeout(slot.idleTimer);
+    if (slot.activePages > 0) return;
+
+    slot.idleTimer = setTimeout(async () => {
+      if (slot.activePages > 0) return;
+      this.slots = this.slots.filter(s => s !== slot);
+      await slot.browser?.close().catch(() => {});
+    }, this.config.browserIdleTimeout);
+    slot.idleTimer.unref();
+  }
+}
+
+const browserPool = new BrowserPool();
+
+export { BrowserPool };
+export default browserPool;
@@ -0,0 +1,279 @@
+// backend/src/services/caseSources.js
+// Case Source Adapters - One adapter per Idaho PUC utility category (listing pages, parsers, document selection)
+
+import { classifyDocument, normalizeSection, selectFilings } from './documentClassifier.js';
+
+const PUC_BASE_URL = 'https://puc.idaho.gov';
+
+/**
+ * A case source adapter tells the crawler where a utility type's cases live and how to read them.
+ * @typedef {Object} CaseSourceAdapter
+ * @property {string} utilityType - Key accepted by /api/research (e.g. 'water')
+ * @property {string} label - Display name for metadata headers and citations
+ * @property {string} caseCode - Utility letter in case numbers (IPC-E-24-01 → 'E')
+ * @property {Array<{url: string, status: string}>} listings - Listing pages to discover cases from
+ * @property {Function} parseListing - (page, listing) → case rows on a loaded listing page
+ * @property {Function} parseCasePage - (page) → case details from a loaded case page:
+ *   { dateFiled, dateClosed, caseType, staff, parties, intervenors, filings }, dates as YYYY-MM-DD
+ * @property {Function} selectDocuments - (page, caseInfo, { documentClasses }) → document links to extract for a case,
+ *   each { documentName, href, section, documentClass }; documentClasses null means the default selection
+ * @property {Function} [parseCaseNumber] - (caseNumber) → { companyCode, utilityCode, year, sequence } or null;
+ *   lets discovery skip out-of-range cases without opening their pages
+ */
+
+// Idaho PUC case numbers: {company code}-{utility letter}-{two-digit year}-{sequence}, e.g. IPC-E-25-16
+const CASE_NUMBER_PATTERN = /^([A-Z]{2,4})-([A-Z])-(\d{2})-(\d{1,3})$/i;
+
+/**
+ * Split an Idaho PUC case number into its parts. The year is the year the case was opened.
+ * Returns null for anything that doesn't follow the pattern.
+ */
+export function parseCaseNumber(caseNumber) {
+  const match = CASE_NUMBER_PATTERN.exec((caseNumber || '').trim());
+  if (!match) return null;
+
+  // Two-digit years roll back a century once they'd land in the future: 98 → 1998, 25 → 2025
+  const twoDigitYear = parseInt(match[3]);
+  const nextYear = new Date().getFullYear() + 1;
+  const year = 2000 + twoDigitYear > nextYear ? 1900 + twoDigitYear : 2000 + twoDigitYear;
+
+  return {
+    caseNumber: match[0].toUpperCase(),
+    companyCode: match[1].toUpperCase(),
+    utilityCode: match[2].toUpperCase(),
+    year,
+    sequence: parseInt(match[4])
+  };
+}
+
+// ✅ SHARED IDAHO PUC PARSERS - every utility category uses the same site templates
+
+async function parsePucListing(page, utilityType, caseStatus) {
+  return page.evaluate(({ utilType, status }) => {
+    const cases = [];
+    const tables = Array.from(document.querySelectorAll('table'));
+    let caseTable = tables.find((tbl) => {
+      const txt = tbl.textContent.toLowerCase();
+      return txt.includes('caseno') && txt.includes('company') && txt.includes('description');
+    });
+
+    if (!caseTable) {
+      caseTable = tables.find((tbl) => {
+        const links = Array.from(tbl.querySelectorAll('a[href*="case"]'));
+        return links.some((a) => /[A-Z]{2,4}-[A-Z]-\d{2}-\d{2}/.test(a.textContent));
+      });
+    }
+
+    if (!caseTable) {
+      console.log('Could not find case data table');
+      return cases;
+    }
+
+    const rows = Array.from(caseTable.querySelectorAll('tr'));
+    rows.forEach((row) => {
+      const cells = row.querySelectorAll('td');
+      if (cells.length >= 3) {
+        const caseNumber = cells[0].textContent.trim();
+        const company = cells[1].textContent.trim();
+        const description = cells[2].textContent.trim();
+        const caseUrl = cells[0].querySelector('a')?.href;
+        if (
+          caseNumber &&
+          caseUrl &&
+          /[A-Z]{2,4}-[A-Z]-\d{2}-\d{2}/.test(caseNumber)
+        ) {
+          cases.push({
+            caseNumber,
+            company,
+            description,
+            caseUrl,
+            utilityType: utilType,
+            caseStatus: status,
+          });
+        }
+      }
+    });
+
+    return cases;
+  }, { utilType: utilityType, status: caseStatus });
+}
+
+// M/D/YYYY from the PUC site → YYYY-MM-DD
+function toIsoDate(dateStr) {
+  const match = (dateStr || '').match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (!match) return null;
+  return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+// Every document link on a loaded case page, with its section, filing date and document class
+async function collectPucFilings(page) {
+  const rawFilings = await page.evaluate(() => {
+    const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+    const filings = [];
+    const seen = new Set();
+    
+    // Header boxes split the page into filing sections (Company, Staff, Intervenor, Commission ...)
+    document.querySelectorAll('.div-header-box').forEach(header => {
+      const sectionTitle = clean(header.textContent);
+      const container = header.parentElement;
+      if (!sectionTitle || !container) return;
+      
+      container.querySelectorAll('a[href*="lf-puc.idaho.gov"]').forEach(link => {
+        if (seen.has(link.href)) return;
+        seen.add(link.href);
+        filings.push({
+          documentName: clean(link.textContent),
+          href: link.href,
+          sectionTitle,
+          date: (link.closest('tr, li')?.textContent || '').match(/\d{1,2}\/\d{1,2}\/\d{4}/)?.[0] || null
+        });
+      });
+    });
+    
+    return filings;
+  });
+  
+  return rawFilings.map(({ documentName, href, sectionTitle, date }) => {
+    const section = normalizeSection(sectionTitle);
+    return {
+      documentName,
+      href,
+      section,
+      date: toIsoDate(date),
+      documentClass: classifyDocument({ documentName, section })
+    };
+  });
+}
+
+async function parsePucCasePage(page) {
+  const details = await page.evaluate(() => {
+    const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+    const findDate = (text) => (text || '').match(/\d{1,2}\/\d{1,2}\/\d{4}/)?.[0] || null;
+    
+    // Labelled case fields - responsive cells carry data-title, older templates use a header row
+    const fields = {};
+    document.querySelectorAll('td[data-title]').forEach(cell => {
+      const label = clean(cell.getAttribute('data-title'));
+      if (label && !(label in fields)) fields[label] = clean(cell.textContent);
+    });
+    document.querySelectorAll('table').forEach(table => {
+      const headers = Array.from(table.querySelectorAll('tr th')).map(th => clean(th.getAttribute('data-title') || th.textContent));
+      const dataRow = Array.from(table.querySelectorAll('tr')).find(row => row.querySelector('td'));
+      if (headers.length === 0 || !dataRow) return;
+      
+      const cells = dataRow.querySelectorAll('td');
+      headers.forEach((label, index) => {
+        if (label && cells[index] && !(label in fields)) fields[label] = clean(cells[index].textContent);
+      });
+    });
+    const field = (...labels) => {
+      const label = labels.find(candidate => fields[candidate]);
+      return label ? fields[label] : null;
+    };
+    
+    const staff = Object.entries(fields)
+      .filter(([label]) => /staff|attorney|investigator|engineer|auditor|analyst/i.test(label))
+      .flatMap(([role, value]) => value.split(/[;,]/).map(clean).filter(Boolean).map(name => ({ role, name })));
+    
+    // Party and intervenor lists are plain rows under their own header boxes, not document links
+    const parties = [];
+    const intervenors = [];
+    
+    document.querySelectorAll('.div-header-box').forEach(header => {
+      const title = clean(header.textContent);
+      const container = header.parentElement;
+      if (!container || !/part(y|ies)|service list|intervenor/i.test(title)) return;
+      
+      container.querySelectorAll('li, tr').forEach(row => {
+        if (row.querySelector('a[href*="lf-puc.idaho.gov"], th')) return;
+        const name = clean(row.querySelector('td')?.textContent || row.textContent);
+        if (!name) return;
+        if (/intervenor/i.test(title) || /intervenor/i.test(row.textContent)) {
+          intervenors.push(name.replace(/\s*\(intervenor\)\s*/i, ' ').trim());
+        }
+        if (/part(y|ies)|service list/i.test(title)) {
+          parties.push(name);
+        }
+      });
+    });
+    
+    return {
+      dateFiled: findDate(field('Date Filed', 'Filed')),
+      dateClosed: findDate(field('Date Closed', 'Closed Date', 'Closed')),
+      caseType: field('Case Type', 'Type'),
+      staff,
+      parties: [...new Set(parties)],
+      intervenors: [...new Set(intervenors)]
+    };
+  });
+  
+  return {
+    ...details,
+    dateFiled: toIsoDate(details.dateFiled),
+    dateClosed: toIsoDate(details.dateClosed),
+    filings: await collectPucFilings(page)
+  };
+}
+
+async function selectPucDocuments(page, caseInfo, { documentClasses = null } = {}) {
+  await page.goto(caseInfo.caseUrl, { waitUntil: 'networkidle2' });
+  
+  const filings = await collectPucFilings(page);
+  return selectFilings(filings, documentClasses)
+    .map(({ documentName, href, section, documentClass }) => ({ documentName, href, section, documentClass }));
+}
+
+/**
+ * Build an adapter for one puc.idaho.gov utility category.
+ * `utilCode` is the site's `util` query parameter for that category's case listings.
+ */
+export function createPucCaseSource({ utilityType, label, caseCode, utilCode }) {
+  return {
+    utilityType,
+    label,
+    caseCode,
+    listings: [
+      { url: `${PUC_BASE_URL}/case?util=${utilCode}&closed=0`, status: 'open' },
+      { url: `${PUC_BASE_URL}/case?util=${utilCode}&closed=1`, status: 'closed' }
+    ],
+    parseListing: (page, listing) => parsePucListing(page, utilityType, listing.status),
+    parseCasePage: parsePucCasePage,
+    parseCaseNumber,
+    selectDocuments: selectPucDocuments
+  };
+}
+
+// ✅ REGISTRY
+const caseSources = new Map();
+
+export function registerCaseSource(adapter) {
+  const required = ['utilityType', 'label', 'listings', 'parseListing', 'parseCasePage', 'selectDocuments'];
+  const missing = required.filter(key => !adapter[key]);
+  if (missing.length > 0) {
+    throw new Error(`Case source "${adapter.utilityType || 'unknown'}" is missing: ${missing.join(', ')}`);
+  }
+  caseSources.set(adapter.utilityType, adapter);
+  return adapter;
+}
+
+export function getCaseSource(utilityType) {
+  return caseSources.get(utilityType) || null;
+}
+
+export function isRegisteredUtilityType(utilityType) {
+  return caseSources.has(utilityType);
+}
+
+export function getRegisteredUtilityTypes() {
+  return Array.from(caseSources.keys());
+}
+
+// Human-readable utility name; falls back to the raw key for unregistered types
+export function getUtilityLabel(utilityType) {
+  return caseSources.get(utilityType)?.label || utilityType;
+}
+
+registerCaseSource(createPucCaseSource({ utilityType: 'electric', label: 'Electric', caseCode: 'E', utilCode: 1 }));
+registerCaseSource(createPucCaseSource({ utilityType: 'natural_gas', label: 'Natural Gas', caseCode: 'G', utilCode: 4 }));
+registerCaseSource(createPucCaseSource({ utilityType: 'telecommunications', label: 'Telecommunications', caseCode: 'T', utilCode: 2 }));
+registerCaseSource(createPucCaseSource({ utilityType: 'water', label: 'Water', caseCode: 'W', utilCode: 3 }));
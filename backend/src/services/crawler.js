@@ -1,27 +1,16 @@
-import puppeteer from 'puppeteer';
 import { v4 as uuidv4 } from 'uuid';
-import fs from 'fs';
-import path from 'path';
-
-const caseListingUrls = [
-  { url: 'https://puc.idaho.gov/case?util=1&closed=0', type: 'electric', status: 'open' },
-  { url: 'https://puc.idaho.gov/case?util=1&closed=1', type: 'electric', status: 'closed' },
-  { url: 'https://puc.idaho.gov/case?util=4&closed=0', type: 'natural_gas', status: 'open' },
-  { url: 'https://puc.idaho.gov/case?util=4&closed=1', type: 'natural_gas', status: 'closed' }
-];
-
-// SIMPLE TEXT CLEANUP - No aggressive enhancement
-function simpleTextCleanup(rawText) {
-  return rawText
-    .replace(/View plain text/gi, '')
-    .replace(/View images/gi, '')
-    .replace(/Search in document/gi, '')
-    .replace(/PUC Case Management/gi, '')
-    .replace(/PublicFiles.*?Company/gi, '')
-    .replace(/\s+/g, ' ')
-    .replace(/\n\s*\n/g, '\n')
-    .trim();
-}
+import browserPool from './browserPool.js';
+import { extractPdfPages } from './pdfExtractor.js';
+import { canOcrPage, recognizePageImage } from './ocr.js';
+import { getCaseSource, getUtilityLabel } from './caseSources.js';
+import { parseDiscoveryQuery, createQueryMatcher } from './queryParser.js';
+import { DEFAULT_SELECTION, classifyDocument, getDocumentClassLabel } from './documentClassifier.js';
+import { getCachedExtraction, storeExtraction } from './extractionCache.js';
+import { getJobStorage } from './storage.js';
+import { normalizeLayout, removeViewerChrome } from './textLayout.js';
+
+// Cases extracted at the same time per crawl; the browser pool still caps pages globally
+const MAX_CONCURRENT_CASES = parseInt(process.env.CRAWL_MAX_CONCURRENT_CASES) || 2;
 
 function chunkArray(array, chunkSize) {
   const chunks = [];
@@ -31,6 +20,193 @@ function chunkArray(array, chunkSize) {
   return chunks;
 }
 
+// Run at most `limit` tasks at once; the rest start in FIFO order as slots free up
+function createTaskQueue(limit) {
+  let active = 0;
+  const pending = [];
+  
+  const next = () => {
+    if (active >= limit || pending.length === 0) return;
+    active++;
+    const { task, resolve, reject } = pending.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+        next();
+      });
+    }
+  };
+}
+
+// Record one extracted document in the crawl result as soon as it lands
+function addExtractedDocument(result, caseResult, textResult) {
+  result.allExtractedDocuments.push(textResult);
+  result.documentsByCaseNumber[caseResult.caseNumber].documents.push(textResult);
+  
+  result.chatReadyData.documents.push({
+    id: textResult.filename,
+    caseNumber: textResult.caseNumber,
+    company: textResult.company,
+    utilityType: textResult.utilityType,
+    caseStatus: textResult.caseStatus,
+    documentName: textResult.documentName,
+    documentType: textResult.documentType,
+    content: textResult.content,
+    citation: textResult.citation,
+    metadata: {
+      caseDescription: caseResult.description,
+      caseType: caseResult.caseType || null,
+      dateFiled: caseResult.dateFiled || null,
+      dateClosed: caseResult.dateClosed || null,
+      parties: caseResult.parties || [],
+      intervenors: caseResult.intervenors || [],
+      filingSection: textResult.filingSection,
+      filingDate: textResult.filingDate,
+      extractedAt: textResult.extractedAt,
+      extractionStrategy: textResult.extractionStrategy,
+      pageCount: textResult.pages
+    }
+  });
+}
+
+// CANCELLATION HELPERS - a crawl context carries the job ID (the browser pool lease owner) and its abort signal
+function isCancelled(crawlContext) {
+  return !!crawlContext?.signal?.aborted;
+}
+
+function leaseOwner(crawlContext) {
+  return crawlContext?.jobId || 'crawler';
+}
+
+// RETRY CONFIG - transient LaserFiche/WebLink hiccups get another go on a fresh page
+const RETRY_CONFIG = {
+  maxAttempts: parseInt(process.env.EXTRACTION_MAX_ATTEMPTS) || 3,
+  baseDelayMs: parseInt(process.env.EXTRACTION_RETRY_BASE_MS) || 2000,
+  maxDelayMs: parseInt(process.env.EXTRACTION_RETRY_MAX_MS) || 30000,
+  minPageCoverage: parseFloat(process.env.EXTRACTION_MIN_PAGE_COVERAGE) || 0.8 // Below this a document is retried
+};
+
+// Exponential backoff with ±50% jitter so workers that failed together don't retry together
+function retryDelay(attempt) {
+  const exponential = Math.min(RETRY_CONFIG.maxDelayMs, RETRY_CONFIG.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(exponential * (0.5 + Math.random()));
+}
+
+// Sleep that wakes early when the crawl is cancelled
+function sleep(ms, signal = null) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+// PAGE MERGING - lets a retry keep the pages an earlier attempt already extracted
+// OCR'd pages carry their confidence in the marker: --- PAGE 12 [OCR 87] ---
+const PAGE_MARKER_PATTERN = /\n--- PAGE (\d+)(?: \[OCR (\d+)\])? ---\n/;
+
+function formatPageMarker(pageNumber, ocrConfidence = null) {
+  return ocrConfidence === null ? `--- PAGE ${pageNumber} ---` : `--- PAGE ${pageNumber} [OCR ${ocrConfidence}] ---`;
+}
+
+// pageNumber → { text, ocrConfidence }
+function splitExtractedPages(text) {
+  const pages = new Map();
+  const parts = text.split(PAGE_MARKER_PATTERN);
+  for (let i = 1; i < parts.length; i += 3) {
+    pages.set(parseInt(parts[i]), {
+      text: parts[i + 2].trim(),
+      ocrConfidence: parts[i + 1] === undefined ? null : parseInt(parts[i + 1])
+    });
+  }
+  return pages;
+}
+
+function joinExtractedPages(pages) {
+  return Array.from(pages.keys())
+    .sort((a, b) => a - b)
+    .map(pageNumber => {
+      const { text, ocrConfidence } = pages.get(pageNumber);
+      return `\n${formatPageMarker(pageNumber, ocrConfidence)}\n${text}\n`;
+    })
+    .join('');
+}
+
+// FAILURE REPORT CLASS - every attempted document and what the AI did not get to see
+const MIN_PAGE_EXTRACTION_RATE = RETRY_CONFIG.minPageCoverage;
+
+function classifyExtractionError(error) {
+  const message = error?.message || '';
+  if (error?.name === 'TimeoutError' || /timeout/i.test(message)) return 'timeout';
+  if (/Target closed|Session closed|detached Frame|Protocol error/i.test(message)) return 'page_crashed';
+  if (/net::ERR_/i.test(message)) return 'navigation_failed';
+  if (/cancelled/i.test(message)) return 'cancelled';
+  return 'extraction_error';
+}
+
+class FailureReport {
+  constructor() {
+    this.documents = [];
+  }
+
+  // Record one attempt using the diagnostics extractDocumentText filled in
+  record(caseInfo, docLink, diagnostics, textResult = null) {
+    const status = !textResult ? 'failed' : (diagnostics.errorClass ? 'partial' : 'extracted');
+    this.documents.push({
+      caseNumber: caseInfo.caseNumber,
+      documentName: docLink.documentName,
+      documentUrl: docLink.href,
+      viewerType: diagnostics.viewerType || null,
+      pagesExpected: diagnostics.pagesExpected ?? null,
+      pagesExtracted: diagnostics.pagesExtracted ?? 0,
+      status,
+      errorClass: diagnostics.errorClass || null,
+      message: diagnostics.message || null,
+      workerId: diagnostics.workerId ?? null,
+      extractionStrategy: diagnostics.extractionStrategy || null,
+      ocrPages: diagnostics.ocrPages || 0,
+      attempts: diagnostics.attempts || 0,
+      cacheHit: !!diagnostics.cacheHit,
+      at: new Date().toISOString()
+    });
+  }
+
+  // Documents a worker never got to because it could not lease a page
+  recordUnattempted(caseInfo, docLinks, error) {
+    docLinks.forEach(docLink => this.record(caseInfo, docLink, {
+      errorClass: error.message === 'Crawl cancelled' ? 'cancelled' : 'worker_unavailable',
+      message: error.message
+    }));
+  }
+
+  getReport() {
+    const problems = this.documents.filter(doc => doc.status !== 'extracted');
+    return {
+      attempted: this.documents.length,
+      extracted: this.documents.filter(doc => doc.status === 'extracted').length,
+      partial: problems.filter(doc => doc.status === 'partial').length,
+      failed: problems.filter(doc => doc.status === 'failed').length,
+      byErrorClass: problems.reduce((acc, doc) => {
+        acc[doc.errorClass] = (acc[doc.errorClass] || 0) + 1;
+        return acc;
+      }, {}),
+      failures: problems,
+      documents: this.documents
+    };
+  }
+}
+
 // PROGRESS TRACKER CLASS
 class ProgressTracker {
   constructor() {
@@ -41,6 +217,7 @@ class ProgressTracker {
     this.currentCaseProgress = { extracted: 0, total: 0 };
     this.activeWorkers = 0;
     this.maxWorkers = 0;
+    this.discoveryComplete = false; // Totals keep growing while cases are still being discovered
     this.updateInterval = null;
     this.onUpdate = null; // Callback for UI updates
   }
@@ -52,6 +229,14 @@ class ProgressTracker {
     this.startRealTimeUpdates();
   }
 
+  addDocuments(count) {
+    this.totalDocuments += count;
+  }
+
+  completeDiscovery() {
+    this.discoveryComplete = true;
+  }
+
   updateProgress(extracted, currentCase = '', caseProgress = { extracted: 0, total: 0 }, activeWorkers = 0) {
     this.extractedDocuments = extracted;
     this.currentCase = currentCase;
@@ -81,6 +266,7 @@ class ProgressTracker {
       maxWorkers: this.maxWorkers,
       currentCase: this.currentCase,
       currentCaseProgress: this.currentCaseProgress,
+      discoveryComplete: this.discoveryComplete,
       elapsedTime: this.formatTime(elapsed)
     };
   }
@@ -160,123 +346,178 @@ ${progressBar}
   }
 }
 
-async function extractCaseListings(page, utilityType, caseStatus) {
-  return page.evaluate(({ utilType, status }) => {
-    const cases = [];
-    const tables = Array.from(document.querySelectorAll('table'));
-    let caseTable = tables.find((tbl) => {
-      const txt = tbl.textContent.toLowerCase();
-      return txt.includes('caseno') && txt.includes('company') && txt.includes('description');
-    });
-
-    if (!caseTable) {
-      caseTable = tables.find((tbl) => {
-        const links = Array.from(tbl.querySelectorAll('a[href*="case"]'));
-        return links.some((a) => /[A-Z]{2,4}-[A-Z]-\d{2}-\d{2}/.test(a.textContent));
-      });
+// DATE RANGE - bare years ('2023') cover the whole year and an end date includes its whole day
+function resolveDateRange(dateRange) {
+  const bound = (value, isEnd) => {
+    const text = String(value).trim();
+    if (/^\d{4}$/.test(text)) {
+      return new Date(isEnd ? `${text}-12-31T23:59:59.999Z` : `${text}-01-01T00:00:00.000Z`);
     }
-
-    if (!caseTable) {
-      console.log('Could not find case data table');
-      return cases;
+    if (isEnd && /^\d{4}-\d{2}-\d{2}$/.test(text)) {
+      return new Date(`${text}T23:59:59.999Z`);
     }
+    return new Date(value);
+  };
+  return { start: bound(dateRange.start, false), end: bound(dateRange.end, true) };
+}
 
-    const rows = Array.from(caseTable.querySelectorAll('tr'));
-    rows.forEach((row) => {
-      const cells = row.querySelectorAll('td');
-      if (cells.length >= 3) {
-        const caseNumber = cells[0].textContent.trim();
-        const company = cells[1].textContent.trim();
-        const description = cells[2].textContent.trim();
-        const caseUrl = cells[0].querySelector('a')?.href;
-        if (
-          caseNumber &&
-          caseUrl &&
-          /[A-Z]{2,4}-[A-Z]-\d{2}-\d{2}/.test(caseNumber)
-        ) {
-          cases.push({
-            caseNumber,
-            company,
-            description,
-            caseUrl,
-            utilityType: utilType,
-            caseStatus: status,
-          });
-        }
-      }
-    });
-
-    return cases;
-  }, { utilType: utilityType, status: caseStatus });
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
 }
 
-function matchesQuery(caseData, userQuery) {
-  const query = userQuery.toLowerCase();
-  const company = caseData.company.toLowerCase();
-  const description = caseData.description.toLowerCase();
-  
-  const coreTerms = query
-    .replace(/\brate cases\b/g, 'rate')
-    .replace(/\bgeneral rate cases\b/g, 'rate')
-    .replace(/\bcases\b/g, 'case')
-    .split(' ')
-    .filter((term) => term.length > 2);
-  
-  const matchesCompany = coreTerms.some((t) => company.includes(t));
-  const matchesDescription = coreTerms.some((t) => description.includes(t));
-  
-  return matchesCompany || matchesDescription;
+/**
+ * Place a case relative to the date range using only the year in its case number.
+ * 'before'/'after' are skipped, 'inside' needs no check, 'boundary' (the year straddles
+ * a range edge) and null (unparseable) still get the Date Filed check on the case page.
+ */
+function classifyCaseYear(caseSource, caseNumber, range) {
+  const parsed = caseSource.parseCaseNumber?.(caseNumber);
+  if (!parsed) return null;
+
+  const yearStart = new Date(Date.UTC(parsed.year, 0, 1));
+  const yearEnd = new Date(Date.UTC(parsed.year, 11, 31, 23, 59, 59, 999));
+  if (yearEnd < range.start) return 'before';
+  if (yearStart > range.end) return 'after';
+  if (yearStart >= range.start && yearEnd <= range.end) return 'inside';
+  return 'boundary';
 }
 
-async function validateCaseDate(page, startDate, endDate) {
-  const dateStr = await page.evaluate(() => {
-    const dateFiledCell = document.querySelector('td[data-title="Date Filed"]');
-    if (dateFiledCell) {
-      const match = dateFiledCell.textContent.match(/\d{1,2}\/\d{1,2}\/\d{4}/);
-      if (match) return match[0];
-    }
-    
-    const tables = document.querySelectorAll('table');
-    for (const table of tables) {
-      const headerRow = table.querySelector('tr');
-      if (!headerRow) continue;
-      
-      const headers = Array.from(headerRow.querySelectorAll('th'));
-      const dateFiledIndex = headers.findIndex(th => 
-        th.textContent.trim() === 'Date Filed' || 
-        th.getAttribute('data-title') === 'Date Filed'
-      );
-      
-      if (dateFiledIndex !== -1) {
-        const dataRow = table.querySelector('tbody tr');
-        if (dataRow) {
-          const dataCells = dataRow.querySelectorAll('td');
-          if (dataCells[dateFiledIndex]) {
-            const match = dataCells[dateFiledIndex].textContent.match(/\d{1,2}\/\d{1,2}\/\d{4}/);
-            if (match) return match[0];
-          }
-        }
-      }
-    }
-    
-    return null;
-  });
+async function validateCaseDate(page, caseSource, range) {
+  const { dateFiled: dateStr } = await caseSource.parseCasePage(page);
 
   if (!dateStr) {
     console.log('No Date Filed found - skipping case');
     return false;
   }
   const filed = new Date(dateStr);
-  const isValid = filed >= new Date(startDate) && filed <= new Date(endDate);
-  console.log('Date Filed ' + dateStr + ' is ' + (isValid ? 'VALID' : 'INVALID') + ' for range ' + startDate + ' to ' + endDate);
+  const isValid = filed >= range.start && filed <= range.end;
+  console.log('Date Filed ' + dateStr + ' is ' + (isValid ? 'VALID' : 'INVALID') + ' for range ' + formatDay(range.start) + ' to ' + formatDay(range.end));
   return isValid;
 }
 
+// CASE DETAILS - dates, case type, staff, parties and the filing list, read while the case page is open
+async function readCaseDetails(page, caseSource, caseInfo) {
+  try {
+    if (page.url() !== caseInfo.caseUrl) {
+      await page.goto(caseInfo.caseUrl, { waitUntil: 'networkidle2' });
+    }
+    const details = await caseSource.parseCasePage(page);
+    console.log(`📋 ${caseInfo.caseNumber}: ${details.caseType || 'unknown type'}, filed ${details.dateFiled || 'unknown'}, ${details.filings.length} filings, ${details.parties.length} parties`);
+    return details;
+  } catch (error) {
+    // Extraction still works without the details - documents just carry less metadata
+    console.log(`⚠️ Could not read case details for ${caseInfo.caseNumber}: ${error.message}`);
+    return {};
+  }
+}
+
+// The case page's filing-list entry for a document link, matched by URL
+function findFiling(caseInfo, documentUrl) {
+  return caseInfo.filings?.find(filing => filing.href === documentUrl) || null;
+}
+
+// TEXT LAYER READER - rebuilds lines and paragraphs from a viewer text layer's positioned spans.
+// Runs in the browser: installed once per viewer document as window.__readTextLayer(element).
+// Spans whose vertical centre falls outside the current line start a new line (as does a <br>);
+// a gap well over the usual line pitch becomes a blank line, i.e. a paragraph break.
+function installTextLayerReader() {
+  if (window.__readTextLayer) return;
+
+  window.__readTextLayer = (element) => {
+    const items = [];
+    element.querySelectorAll('*').forEach(node => {
+      if (node.tagName === 'BR') {
+        items.push({ lineBreak: true });
+        return;
+      }
+      if (node.children.length > 0) return; // Containers - their leaves are read on their own
+      const text = node.textContent || '';
+      if (!text.trim()) return;
+      const rect = node.getBoundingClientRect();
+      items.push({ text, top: rect.top, bottom: rect.bottom, left: rect.left, right: rect.right });
+    });
+
+    const positioned = items.some(item => !item.lineBreak && item.bottom > item.top);
+    const lines = [];
+    let line = null;
+
+    for (const item of items) {
+      if (item.lineBreak) {
+        line = null;
+        continue;
+      }
+      const centre = (item.top + item.bottom) / 2;
+      const sameLine = line && (!positioned || (centre >= line.top && centre <= line.bottom));
+      if (!sameLine) {
+        line = { text: item.text, top: item.top, bottom: item.bottom, right: item.right };
+        lines.push(line);
+        continue;
+      }
+      // Unpositioned spans never carry their own spacing; positioned ones only need it across a visible gap
+      const gap = item.left - line.right;
+      const needsSpace = !positioned || gap > (item.bottom - item.top) * 0.15;
+      line.text += (needsSpace && !/\s$/.test(line.text) && !/^\s/.test(item.text) ? ' ' : '') + item.text;
+      line.top = Math.min(line.top, item.top);
+      line.bottom = Math.max(line.bottom, item.bottom);
+      line.right = item.right;
+    }
+
+    if (!positioned || lines.length < 3) {
+      return lines.map(current => current.text.trim()).join('\n');
+    }
+
+    const pitches = lines.slice(1)
+      .map((current, i) => current.top - lines[i].top)
+      .filter(pitch => pitch > 0)
+      .sort((a, b) => a - b);
+    const usualPitch = pitches[Math.floor((pitches.length - 1) / 2)] || 0;
+
+    return lines.map((current, i) => {
+      const pitch = i > 0 ? current.top - lines[i - 1].top : 0;
+      const paragraphBreak = usualPitch > 0 && pitch > usualPitch * 1.6;
+      return (paragraphBreak ? '\n' : '') + current.text.trim();
+    }).join('\n');
+  };
+}
+
+// PDF.js page text, run in the browser. Each .textLayer sits in its .page div, which carries the viewer's page number;
+// pages not rendered yet have no text layer, so a layer's position in the list is not its page number.
+function readTextLayerPages() {
+  const pageElements = Array.from(document.querySelectorAll('.page'));
+  const pages = [];
+  document.querySelectorAll('.textLayer').forEach((layer, index) => {
+    const pageElement = layer.closest('.page');
+    const pageNumber = parseInt(pageElement?.getAttribute('data-page-number')) ||
+      (pageElement ? pageElements.indexOf(pageElement) + 1 : index + 1);
+    const text = window.__readTextLayer(layer).trim();
+    if (text.length > 10) pages.push({ pageNumber, text });
+  });
+  return { pages, totalExpected: pageElements.length };
+}
+
 // UPDATED extractDocumentText with failure tracking
-async function extractDocumentText(page, documentUrl, documentName, caseNumber, caseInfo, workerId = 0) {
+// `diagnostics` is filled in as extraction goes (viewer type, pages expected/extracted, error class).
+// `resumePages` holds pages a previous attempt already extracted; they are skipped where possible and merged back in.
+// `signal` is the crawl's abort signal; it stops a PDF download/parse in flight when the job is cancelled.
+async function extractDocumentText(page, documentUrl, documentName, caseNumber, caseInfo, workerId = 0, diagnostics = {}, resumePages = null, signal = null) {
+  diagnostics.workerId = workerId;
+  diagnostics.errorClass = null;
+  diagnostics.message = null;
+  diagnostics.ocrPages = 0;
+  const extraction = { documentUrl, documentName, caseNumber, caseInfo, workerId, diagnostics, resumePages };
   try {
     console.log(`[Worker ${workerId}] 📄 Extracting text from: ${documentName}`);
     
+    // STRATEGY 1: Download the PDF and parse it directly - skipped for this document once it has failed
+    if (!diagnostics.pdfDownloadFailed) {
+      const pdfText = await extractViaPdfDownload(page, documentUrl, workerId, diagnostics, signal);
+      if (pdfText) {
+        return buildExtractedDocument({ ...pdfText, extractionStrategy: 'pdf_download' }, extraction);
+      }
+      if (signal?.aborted) return null;
+    }
+    
+    // STRATEGY 2: Scrape the viewer DOM
     await page.goto(documentUrl, { waitUntil: 'networkidle2', timeout: 120000 });
     await new Promise(resolve => setTimeout(resolve, 3000));
 
@@ -315,12 +556,17 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
     });
 
     console.log(`[Worker ${workerId}] 🔍 Document type detected (after text mode): ${documentType}`);
+    diagnostics.viewerType = documentType;
 
     if (documentType === 'unknown') {
       console.log(`[Worker ${workerId}] ❌ Unknown document type for ${documentName}`);
+      diagnostics.errorClass = 'unknown_viewer';
+      diagnostics.message = 'No recognised text layer or viewer on the document page';
       return null;
     }
 
+    await page.evaluate(installTextLayerReader);
+
     let fullText = '';
     let totalPages = 0;
 
@@ -340,6 +586,7 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
       });
       
       console.log(`[Worker ${workerId}] 📖 Total pages detected: ${totalPageCount}`);
+      diagnostics.pagesExpected = totalPageCount;
       
       if (totalPageCount > 0) {
         let allText = '';
@@ -350,6 +597,7 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
           console.log(`[Worker ${workerId}] 📄 Small doc - using page-by-page extraction`);
           
           for (let pageNum = 1; pageNum <= totalPageCount; pageNum++) {
+            if (resumePages?.has(pageNum)) continue; // Got this one last attempt
             try {
               await page.evaluate((targetPage) => {
                 const pageInput = document.querySelector('#pageNum');
@@ -364,15 +612,17 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
               await new Promise(resolve => setTimeout(resolve, 800));
               
               const pageText = await page.evaluate(() => {
+                // The viewer can reload between pages; plain text content is the fallback if the reader went with it
+                const readLayer = window.__readTextLayer || (layer => layer.textContent || '');
                 const currentPage = document.querySelector('.currentImageBoxShadow .textPageInner.TextLayer');
                 if (currentPage) {
-                  const text = currentPage.textContent || currentPage.innerText || '';
+                  const text = readLayer(currentPage);
                   return text.trim();
                 }
                 
                 const textLayers = document.querySelectorAll('.textPageInner.TextLayer');
                 for (const layer of textLayers) {
-                  const text = layer.textContent || layer.innerText || '';
+                  const text = readLayer(layer);
                   if (text.trim().length > 10) {
                     return text.trim();
                   }
@@ -383,6 +633,13 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
               if (pageText.length > 10) {
                 allText += `\n--- PAGE ${pageNum} ---\n${pageText}\n`;
                 successfulPages++;
+              } else {
+                // Scanned page with an empty text layer - OCR the page image instead of dropping it
+                const ocrResult = await ocrCurrentLaserFichePage(page, pageNum, workerId, diagnostics);
+                if (ocrResult) {
+                  allText += `\n${formatPageMarker(pageNum, ocrResult.confidence)}\n${ocrResult.text}\n`;
+                  successfulPages++;
+                }
               }
               
             } catch (error) {
@@ -437,15 +694,17 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
               
               // Extract text from current page
               const pageText = await page.evaluate(() => {
+                // The viewer can reload between pages; plain text content is the fallback if the reader went with it
+                const readLayer = window.__readTextLayer || (layer => layer.textContent || '');
                 const currentPage = document.querySelector('.currentImageBoxShadow .textPageInner.TextLayer');
                 if (currentPage) {
-                  const text = currentPage.textContent || currentPage.innerText || '';
+                  const text = readLayer(currentPage);
                   return text.trim();
                 }
                 
                 const textLayers = document.querySelectorAll('.textPageInner.TextLayer');
                 for (const layer of textLayers) {
-                  const text = layer.textContent || layer.innerText || '';
+                  const text = readLayer(layer);
                   if (text.trim().length > 10) {
                     return text.trim();
                   }
@@ -456,6 +715,12 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
               if (pageText.length > 10) {
                 allText += `\n--- PAGE ${currentPageNum} ---\n${pageText}\n`;
                 successfulPages++;
+              } else {
+                const ocrResult = await ocrCurrentLaserFichePage(page, currentPageNum, workerId, diagnostics);
+                if (ocrResult) {
+                  allText += `\n${formatPageMarker(currentPageNum, ocrResult.confidence)}\n${ocrResult.text}\n`;
+                  successfulPages++;
+                }
               }
               
               // Progress update every 25 pages
@@ -471,198 +736,13 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
         console.log(`[Worker ${workerId}] 📑 LaserFiche extraction complete: ${successfulPages}/${totalPageCount} pages`);
       }
       
-    } else if (documentType === 'pdfjs') {
-      // PDF.js extraction (clean text from marked content)
+    } else if (documentType === 'pdfjs' || documentType === 'laserfiche_text') {
+      // PDF.js extraction (clean text from marked content) - LaserFiche renders some text documents the same way
       console.log(`[Worker ${workerId}] 🔍 Using PDF.js extraction (clean text)...`);
       
-      let extractionResult = await page.evaluate(() => {
-        const textLayers = document.querySelectorAll('.textLayer');
-        let allText = '';
-        let pageCount = 0;
-        
-        textLayers.forEach((layer, index) => {
-          let pageText = '';
-          const markedContent = layer.querySelectorAll('.markedContent');
-          
-          markedContent.forEach(content => {
-            const textSpans = content.querySelectorAll('span[role="presentation"]');
-            textSpans.forEach(span => {
-              const spanText = span.textContent || span.innerText || '';
-              if (spanText.trim() && !spanText.match(/^[\d\s\-\.,;:]+$/)) {
-                pageText += spanText + ' ';
-              }
-            });
-            
-            if (content.querySelector('br[role="presentation"]')) {
-              pageText += '\n';
-            }
-          });
-          
-          if (pageText.trim().length > 10) {
-            pageCount++;
-            allText += '\n--- PAGE ' + pageCount + ' ---\n' + pageText.trim() + '\n';
-          }
-        });
-        
-        const totalPageDivs = document.querySelectorAll('.page').length;
-        return {
-          text: allText,
-          pages: pageCount,
-          totalExpected: totalPageDivs,
-          needsLazyLoading: pageCount < (totalPageDivs * 0.8)
-        };
-      });
-      
-      if (extractionResult.needsLazyLoading && extractionResult.totalExpected > 5) {
-        console.log(`[Worker ${workerId}] 📜 Triggering lazy loading...`);
-        
-        await page.evaluate(() => {
-          const viewer = document.querySelector('#viewerContainer') || document.querySelector('#viewer');
-          if (viewer) {
-            viewer.scrollTop = viewer.scrollHeight;
-          }
-        });
-        
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        
-        await page.evaluate(() => {
-          const viewer = document.querySelector('#viewerContainer') || document.querySelector('#viewer');
-          if (viewer) {
-            viewer.scrollTop = 0;
-          }
-        });
-        
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        extractionResult = await page.evaluate(() => {
-          const textLayers = document.querySelectorAll('.textLayer');
-          let allText = '';
-          let pageCount = 0;
-          
-          textLayers.forEach((layer, index) => {
-            let pageText = '';
-            const markedContent = layer.querySelectorAll('.markedContent');
-            
-            markedContent.forEach(content => {
-              const textSpans = content.querySelectorAll('span[role="presentation"]');
-              textSpans.forEach(span => {
-                const spanText = span.textContent || span.innerText || '';
-                if (spanText.trim() && !spanText.match(/^[\d\s\-\.,;:]+$/)) {
-                  pageText += spanText + ' ';
-                }
-              });
-              if (content.querySelector('br[role="presentation"]')) {
-                pageText += '\n';
-              }
-            });
-            
-            if (pageText.trim().length > 10) {
-              pageCount++;
-              allText += '\n--- PAGE ' + pageCount + ' ---\n' + pageText.trim() + '\n';
-            }
-          });
-          
-          return { text: allText, pages: pageCount };
-        });
-      }
-      
-      fullText = extractionResult.text;
-      totalPages = extractionResult.pages;
-      
-    } else if (documentType === 'laserfiche_text') {
-      let extractionResult = await page.evaluate(() => {
-        const textLayers = document.querySelectorAll('.textLayer');
-        let allText = '';
-        let pageCount = 0;
-        
-        textLayers.forEach((layer, index) => {
-          let pageText = '';
-          const markedContent = layer.querySelectorAll('.markedContent');
-          
-          markedContent.forEach(content => {
-            const textSpans = content.querySelectorAll('span[role="presentation"]');
-            textSpans.forEach(span => {
-              const spanText = span.textContent || span.innerText || '';
-              if (spanText.trim() && !spanText.match(/^[\d\s\-\.,;:]+$/)) {
-                pageText += spanText + ' ';
-              }
-            });
-            
-            if (content.querySelector('br[role="presentation"]')) {
-              pageText += '\n';
-            }
-          });
-          
-          if (pageText.trim().length > 10) {
-            pageCount++;
-            allText += '\n--- PAGE ' + pageCount + ' ---\n' + pageText.trim() + '\n';
-          }
-        });
-        
-        const totalPageDivs = document.querySelectorAll('.page').length;
-        return {
-          text: allText,
-          pages: pageCount,
-          totalExpected: totalPageDivs,
-          needsLazyLoading: pageCount < (totalPageDivs * 0.8)
-        };
-      });
-      
-      if (extractionResult.needsLazyLoading && extractionResult.totalExpected > 5) {
-        console.log(`[Worker ${workerId}] 📜 Triggering lazy loading...`);
-        
-        await page.evaluate(() => {
-          const viewer = document.querySelector('#viewerContainer') || document.querySelector('#viewer');
-          if (viewer) {
-            viewer.scrollTop = viewer.scrollHeight;
-          }
-        });
-        
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        
-        await page.evaluate(() => {
-          const viewer = document.querySelector('#viewerContainer') || document.querySelector('#viewer');
-          if (viewer) {
-            viewer.scrollTop = 0;
-          }
-        });
-        
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        extractionResult = await page.evaluate(() => {
-          const textLayers = document.querySelectorAll('.textLayer');
-          let allText = '';
-          let pageCount = 0;
-          
-          textLayers.forEach((layer, index) => {
-            let pageText = '';
-            const markedContent = layer.querySelectorAll('.markedContent');
-            
-            markedContent.forEach(content => {
-              const textSpans = content.querySelectorAll('span[role="presentation"]');
-              textSpans.forEach(span => {
-                const spanText = span.textContent || span.innerText || '';
-                if (spanText.trim() && !spanText.match(/^[\d\s\-\.,;:]+$/)) {
-                  pageText += spanText + ' ';
-                }
-              });
-              if (content.querySelector('br[role="presentation"]')) {
-                pageText += '\n';
-              }
-            });
-            
-            if (pageText.trim().length > 10) {
-              pageCount++;
-              allText += '\n--- PAGE ' + pageCount + ' ---\n' + pageText.trim() + '\n';
-            }
-          });
-          
-          return { text: allText, pages: pageCount };
-        });
-      }
-      
-      fullText = extractionResult.text;
-      totalPages = extractionResult.pages;
+      const extractionResult = await extractTextLayerPages(page, workerId, diagnostics);
+      fullText = extractionResult.fullText;
+      totalPages = extractionResult.totalPages;
       
 } else if (documentType === 'weblink_iframe') {
   console.log(`[Worker ${workerId}] 🔗 WebLink iframe detected - using BULK LOADING extraction...`);
@@ -686,6 +766,7 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
       },
       { timeout: 120000, polling: 2000 }
     );
+    await frame.evaluate(installTextLayerReader);
     
     // VALIDATION: Check initial page count
     const initialPageCount = await frame.evaluate(() => {
@@ -695,6 +776,7 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
     });
     
     console.log(`[Worker ${workerId}] 📊 Initial state: ${initialPageCount.loadedPages}/${initialPageCount.totalPages} pages loaded`);
+    diagnostics.pagesExpected = initialPageCount.totalPages;
     
     let allText = '';
     let processedPages = 0;
@@ -717,20 +799,7 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
               const markedContents = page.querySelectorAll('.markedContent');
               
               if (isLoaded && markedContents.length > 0) {
-                let pageText = '';
-                markedContents.forEach(content => {
-                  const textSpans = content.querySelectorAll('span[role="presentation"]');
-                  textSpans.forEach(span => {
-                    const spanText = span.textContent || span.innerText || '';
-                    if (spanText.trim()) {
-                      pageText += spanText + ' ';
-                    }
-                  });
-                  
-                  if (content.querySelector('br[role="presentation"]')) {
-                    pageText += '\n';
-                  }
-                });
+                const pageText = window.__readTextLayer(page.querySelector('.textLayer') || page);
                 
                 if (pageText.trim().length > 10) {
                   loadedPages.push({
@@ -826,20 +895,7 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
           const markedContents = page.querySelectorAll('.markedContent');
           
           if (isLoaded && markedContents.length > 0) {
-            let pageText = '';
-            markedContents.forEach(content => {
-              const textSpans = content.querySelectorAll('span[role="presentation"]');
-              textSpans.forEach(span => {
-                const spanText = span.textContent || span.innerText || '';
-                if (spanText.trim()) {
-                  pageText += spanText + ' ';
-                }
-              });
-              
-              if (content.querySelector('br[role="presentation"]')) {
-                pageText += '\n';
-              }
-            });
+            const pageText = window.__readTextLayer(page.querySelector('.textLayer') || page);
             
             if (pageText.trim().length > 10) {
               loadedPages.push({
@@ -887,6 +943,13 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
       }
     }
     
+    // OCR FALLBACK: image-only pages have a rendered canvas but no text layer
+    const ocrPages = await ocrMissingPdfJsPages(frame, initialPageCount.totalPages, splitExtractedPages(allText), workerId, diagnostics);
+    if (ocrPages.size > 0) {
+      allText = joinExtractedPages(new Map([...splitExtractedPages(allText), ...ocrPages]));
+      processedPages += ocrPages.size;
+    }
+    
     fullText = allText;
     totalPages = processedPages;
     console.log(`[Worker ${workerId}] ✅ WebLink extraction complete: ${processedPages} pages, ${allText.length} characters`);
@@ -897,78 +960,253 @@ async function extractDocumentText(page, documentUrl, documentName, caseNumber,
   }
 }
 
-    console.log(`[Worker ${workerId}] 📑 Total pages extracted: ${totalPages}`);
-    console.log(`[Worker ${workerId}] 📝 Total text length: ${fullText.length}`);
+    return buildExtractedDocument({ fullText, totalPages, documentType, extractionStrategy: 'viewer_scrape' }, extraction);
 
-    if (fullText.trim()) {
-      const filename = caseNumber + '_' + sanitizeFilename(documentName) + '.txt';
-      const textDir = path.join(process.env.HOME, 'Downloads', 'extracted_texts');
-      
-      if (!fs.existsSync(textDir)) {
-        fs.mkdirSync(textDir, { recursive: true });
+  } catch (error) {
+    diagnostics.errorClass = classifyExtractionError(error);
+    diagnostics.message = error.message;
+
+    console.log(`[Worker ${workerId}] 💥 Error extracting text from ${documentName}: ${error.message}`);
+    return null;
+  }
+}
+
+// ✅ PDF DOWNLOAD STRATEGY: No viewer DOM, scrolling or sleeps. Returns null to fall back to viewer scraping.
+async function extractViaPdfDownload(page, documentUrl, workerId, diagnostics, signal = null) {
+  try {
+    const cookies = await page.cookies(documentUrl).catch(() => []);
+    const pdfResult = await extractPdfPages(documentUrl, { cookies, signal });
+    if (!pdfResult) return null;
+    
+    // Scanned PDFs have no text layer - the viewer may still have LaserFiche's OCR text
+    const coverage = pdfResult.numPages > 0 ? pdfResult.pages.size / pdfResult.numPages : 0;
+    if (coverage < MIN_PAGE_EXTRACTION_RATE) {
+      throw new Error(`PDF text layer covers only ${pdfResult.pages.size}/${pdfResult.numPages} pages`);
+    }
+    
+    console.log(`[Worker ${workerId}] 📥 Parsed downloaded PDF: ${pdfResult.pages.size}/${pdfResult.numPages} pages with text`);
+    diagnostics.viewerType = 'pdf';
+    diagnostics.pagesExpected = pdfResult.numPages;
+    return {
+      fullText: joinExtractedPages(new Map(
+        Array.from(pdfResult.pages, ([pageNumber, text]) => [pageNumber, { text, ocrConfidence: null }])
+      )),
+      totalPages: pdfResult.pages.size,
+      documentType: 'pdf'
+    };
+  } catch (error) {
+    if (signal?.aborted) {
+      console.log(`[Worker ${workerId}] 🛑 PDF download cancelled`);
+      return null; // Not a failure of the document - a resumed attempt may download it again
+    }
+    console.log(`[Worker ${workerId}] ⚠️ PDF download strategy failed (${error.message}) - falling back to viewer scraping`);
+    diagnostics.pdfDownloadFailed = error.message;
+    return null;
+  }
+}
+
+// ✅ PDF.JS TEXT LAYERS: Pages keep their viewer page numbers; empty ones (scanned pages) are OCR'd from their canvas
+async function extractTextLayerPages(page, workerId, diagnostics) {
+  let layerResult = await page.evaluate(readTextLayerPages);
+  diagnostics.pagesExpected = layerResult.totalExpected;
+  
+  if (layerResult.pages.length < layerResult.totalExpected * 0.8 && layerResult.totalExpected > 5) {
+    console.log(`[Worker ${workerId}] 📜 Triggering lazy loading...`);
+    
+    await page.evaluate(() => {
+      const viewer = document.querySelector('#viewerContainer') || document.querySelector('#viewer');
+      if (viewer) {
+        viewer.scrollTop = viewer.scrollHeight;
       }
-      
-      // SIMPLE CLEANUP ONLY - No aggressive enhancement
-      const cleanedText = simpleTextCleanup(fullText);
-      
-      console.log(`[Worker ${workerId}] 🧹 Text cleaned: ${cleanedText.length} characters`);
-      
-      const enhancedContent = '===== DOCUMENT METADATA =====\n' +
-        'Case Number: ' + caseNumber + '\n' +
-        'Company: ' + caseInfo.company + '\n' +
-        'Utility Type: ' + caseInfo.utilityType + ' (' + (caseInfo.utilityType === 'electric' ? 'Electric' : 'Natural Gas') + ')\n' +
-        'Case Status: ' + caseInfo.caseStatus + ' (' + (caseInfo.caseStatus === 'open' ? 'Currently Active' : 'Closed/Completed') + ')\n' +
-        'Document Name: ' + documentName + '\n' +
-        'Document Type: ' + (documentName.includes('DIRECT') ? 'Company Direct Testimony' : 'Staff Document') + '\n' +
-        'Document Source: ' + documentUrl + '\n' +
-        'Extracted Pages: ' + totalPages + '\n' +
-        'Extraction Date: ' + new Date().toISOString() + '\n' +
-        '===== END METADATA =====\n\n' +
-        cleanedText;
-      
-      const filepath = path.join(textDir, filename);
-      fs.writeFileSync(filepath, enhancedContent, 'utf8');
-      
-      console.log(`[Worker ${workerId}] ✅ Saved: ${filename} (${cleanedText.length} characters, ${totalPages} pages)`);
-      
-      return {
-        filename,
-        filepath,
-        textLength: cleanedText.length,
-        pages: totalPages,
+    });
+    
+    await new Promise(resolve => setTimeout(resolve, 5000));
+    
+    await page.evaluate(() => {
+      const viewer = document.querySelector('#viewerContainer') || document.querySelector('#viewer');
+      if (viewer) {
+        viewer.scrollTop = 0;
+      }
+    });
+    
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    
+    layerResult = await page.evaluate(readTextLayerPages);
+  }
+  
+  const textPages = new Map(layerResult.pages.map(({ pageNumber, text }) => [pageNumber, { text, ocrConfidence: null }]));
+  const ocrPages = await ocrMissingPdfJsPages(page, layerResult.totalExpected, textPages, workerId, diagnostics);
+  const pages = new Map([...textPages, ...ocrPages]);
+  return { fullText: joinExtractedPages(pages), totalPages: pages.size };
+}
+
+// ✅ OCR FALLBACK: Screenshot a page element and OCR it. Returns { text, confidence } or null.
+async function ocrPageElement(element, pageNumber, workerId, diagnostics) {
+  if (!element || !canOcrPage(diagnostics.ocrPages)) return null;
+  
+  try {
+    const image = await element.screenshot({ type: 'png' });
+    const ocrResult = await recognizePageImage(image);
+    if (ocrResult) {
+      diagnostics.ocrPages++;
+      console.log(`[Worker ${workerId}] 🔠 OCR page ${pageNumber}: ${ocrResult.text.length} characters (confidence ${ocrResult.confidence})`);
+    }
+    return ocrResult;
+  } catch (error) {
+    console.log(`[Worker ${workerId}] ⚠️ OCR failed on page ${pageNumber}: ${error.message}`);
+    return null;
+  }
+}
+
+async function ocrCurrentLaserFichePage(page, pageNumber, workerId, diagnostics) {
+  const element = await page.$('.currentImageBoxShadow img') || await page.$('.currentImageBoxShadow');
+  return ocrPageElement(element, pageNumber, workerId, diagnostics);
+}
+
+// `viewer` holds the PDF.js pages: the WebLink iframe, or the document page itself on pdfjs and laserfiche_text viewers
+async function ocrMissingPdfJsPages(viewer, totalPages, extractedPages, workerId, diagnostics) {
+  const ocrPages = new Map();
+  
+  for (let pageNumber = 1; pageNumber <= totalPages; pageNumber++) {
+    if (extractedPages.has(pageNumber)) continue;
+    if (!canOcrPage(diagnostics.ocrPages)) break;
+    
+    // PDF.js only paints canvases for pages near the viewport
+    const found = await viewer.evaluate((targetPage) => {
+      const pageElement = document.querySelector(`.page[data-page-number="${targetPage}"]`);
+      if (pageElement) pageElement.scrollIntoView();
+      return !!pageElement;
+    }, pageNumber);
+    if (!found) continue;
+    await new Promise(resolve => setTimeout(resolve, 800));
+    
+    const canvas = await viewer.$(`.page[data-page-number="${pageNumber}"] canvas`);
+    const ocrResult = await ocrPageElement(canvas, pageNumber, workerId, diagnostics);
+    if (ocrResult) {
+      ocrPages.set(pageNumber, { text: ocrResult.text, ocrConfidence: ocrResult.confidence });
+    }
+  }
+  
+  return ocrPages;
+}
+
+// ✅ BUILD: Shared tail of both extraction strategies - merge resumed pages, flag low coverage, add the metadata header
+function buildExtractedDocument({ fullText, totalPages, documentType, extractionStrategy }, { documentUrl, documentName, caseNumber, caseInfo, workerId, diagnostics, resumePages }) {
+  console.log(`[Worker ${workerId}] 📑 Total pages extracted: ${totalPages}`);
+  console.log(`[Worker ${workerId}] 📝 Total text length: ${fullText.length}`);
+  diagnostics.extractionStrategy = extractionStrategy;
+  
+  // Merge in what earlier attempts got - every source marks pages with their real page numbers
+  if (resumePages?.size > 0) {
+    const mergedPages = new Map([...resumePages, ...splitExtractedPages(fullText)]);
+    fullText = joinExtractedPages(mergedPages);
+    totalPages = mergedPages.size;
+    console.log(`[Worker ${workerId}] 🔁 Resumed with ${resumePages.size} pages from the previous attempt → ${totalPages} pages`);
+  }
+  diagnostics.pagesExtracted = totalPages;
+  diagnostics.extractedPages = splitExtractedPages(fullText);
+  diagnostics.extractedText = fullText; // Raw page-marked text, what the extraction cache stores
+  diagnostics.sourceType = documentType;
+  
+  // Kept, but flagged - the missing pages never reach the AI
+  if (diagnostics.pagesExpected > 0 && totalPages / diagnostics.pagesExpected < MIN_PAGE_EXTRACTION_RATE) {
+    diagnostics.errorClass = 'low_page_rate';
+    diagnostics.message = `Only ${totalPages}/${diagnostics.pagesExpected} pages extracted`;
+  }
+
+  if (fullText.trim()) {
+    const filename = caseNumber + '_' + sanitizeFilename(documentName) + '.txt';
+    
+    // Whitespace first, then viewer chrome - both line by line, so lines, paragraphs and page markers survive
+    const cleanedText = removeViewerChrome(normalizeLayout(fullText));
+    const filing = findFiling(caseInfo, documentUrl);
+    const documentClass = filing?.documentClass || classifyDocument({ documentName, section: filing?.section });
+    
+    console.log(`[Worker ${workerId}] 🧹 Text cleaned: ${cleanedText.length} characters`);
+    
+    const enhancedContent = '===== DOCUMENT METADATA =====\n' +
+      'Case Number: ' + caseNumber + '\n' +
+      'Company: ' + caseInfo.company + '\n' +
+      'Utility Type: ' + caseInfo.utilityType + ' (' + getUtilityLabel(caseInfo.utilityType) + ')\n' +
+      'Case Status: ' + caseInfo.caseStatus + ' (' + (caseInfo.caseStatus === 'open' ? 'Currently Active' : 'Closed/Completed') + ')\n' +
+      'Case Type: ' + (caseInfo.caseType || 'Unknown') + '\n' +
+      'Date Filed: ' + (caseInfo.dateFiled || 'Unknown') + '\n' +
+      'Date Closed: ' + (caseInfo.dateClosed || 'N/A') + '\n' +
+      'Document Name: ' + documentName + '\n' +
+      'Filing Section: ' + (filing?.section || 'Unknown') + '\n' +
+      'Filing Date: ' + (filing?.date || 'Unknown') + '\n' +
+      'Document Type: ' + getDocumentClassLabel(documentClass) + '\n' +
+      'Document Source: ' + documentUrl + '\n' +
+      'Extracted Pages: ' + totalPages + '\n' +
+      'Extraction Strategy: ' + extractionStrategy + '\n' +
+      'OCR Pages: ' + (diagnostics.ocrPages || 0) + '\n' +
+      'Extraction Date: ' + new Date().toISOString() + '\n' +
+      '===== END METADATA =====\n\n' +
+      cleanedText;
+    
+    return {
+      filename,
+      storageKey: null, // Set once storeExtractedDocument has written it
+      textLength: cleanedText.length,
+      pages: totalPages,
+      caseNumber,
+      company: caseInfo.company,
+      utilityType: caseInfo.utilityType,
+      caseStatus: caseInfo.caseStatus,
+      caseType: caseInfo.caseType || null,
+      dateFiled: caseInfo.dateFiled || null,
+      dateClosed: caseInfo.dateClosed || null,
+      documentName,
+      documentType: documentClass,
+      documentUrl,
+      filingSection: filing?.section || null,
+      filingDate: filing?.date || null,
+      extractionStrategy,
+      ocrPages: diagnostics.ocrPages || 0,
+      extractedAt: new Date().toISOString(),
+      content: cleanedText,
+      contentWithMetadata: enhancedContent,
+      success: true,
+      attempts: diagnostics.attempts || 1,
+      citation: {
         caseNumber,
         company: caseInfo.company,
-        utilityType: caseInfo.utilityType,
-        caseStatus: caseInfo.caseStatus,
+        utilityType: getUtilityLabel(caseInfo.utilityType),
+        caseStatus: caseInfo.caseStatus === 'open' ? 'Open Case' : 'Closed Case',
+        caseType: caseInfo.caseType || null,
+        dateFiled: caseInfo.dateFiled || null,
         documentName,
-        documentType: documentName.includes('DIRECT') ? 'Company_Direct_Testimony' : 'Staff_Document',
-        documentUrl,
-        extractedAt: new Date().toISOString(),
-        content: cleanedText,
-        contentWithMetadata: enhancedContent,
-        success: true,
-        citation: {
-          caseNumber,
-          company: caseInfo.company,
-          utilityType: caseInfo.utilityType === 'electric' ? 'Electric' : 'Natural Gas',
-          caseStatus: caseInfo.caseStatus === 'open' ? 'Open Case' : 'Closed Case',
-          documentName,
-          documentType: documentName.includes('DIRECT') ? 'Company Direct Testimony' : 'Staff Document',
-          pageCount: totalPages,
-          source: 'Idaho Public Utilities Commission'
-        }
-      };
-    } else {
-      console.log(`[Worker ${workerId}] ❌ No text extracted from ${documentName}`);
-      return null;
-    }
+        filingDate: filing?.date || null,
+        documentType: getDocumentClassLabel(documentClass),
+        pageCount: totalPages,
+        source: 'Idaho Public Utilities Commission'
+      }
+    };
+  } else {
+    console.log(`[Worker ${workerId}] ❌ No text extracted from ${documentName}`);
+    diagnostics.errorClass = 'empty_text';
+    diagnostics.message = 'Document loaded but no text could be extracted';
+    return null;
+  }
+}
 
+// Write the document (metadata header + text) to the job's storage namespace; the processor reads it back from there
+async function storeExtractedDocument(textResult, diagnostics, crawlContext = null) {
+  const storage = crawlContext?.storage || getJobStorage(leaseOwner(crawlContext));
+  const relativeKey = 'extracted_texts/' + textResult.filename;
+  
+  try {
+    await storage.putText(relativeKey, textResult.contentWithMetadata);
   } catch (error) {
-    // === ADD FAILURE TRACKING ===
-
-    console.log(`[Worker ${workerId}] 💥 Error extracting text from ${documentName}: ${error.message}`);
+    console.log(`❌ Could not store ${textResult.filename}: ${error.message}`);
+    diagnostics.errorClass = 'storage_error';
+    diagnostics.message = error.message;
     return null;
   }
+  
+  textResult.storageKey = storage.key(relativeKey);
+  console.log(`✅ Saved: ${storage.describe(relativeKey)} (${textResult.textLength} characters, ${textResult.pages} pages)`);
+  return textResult;
 }
 
 function sanitizeFilename(filename) {
@@ -978,84 +1216,161 @@ function sanitizeFilename(filename) {
     .substring(0, 100);
 }
 
-async function getDocumentLinksFromCase(page, caseInfo) {
-  await page.goto(caseInfo.caseUrl, { waitUntil: 'networkidle2' });
-  
-  const documentLinks = await page.evaluate(() => {
-    const links = [];
-    
-    const companyHeaders = Array.from(document.querySelectorAll('.div-header-box')).filter(h => h.textContent.trim() === 'Company');
-    if (companyHeaders.length > 0) {
-      const companySection = companyHeaders[0].parentElement;
-      const companyLinks = Array.from(companySection.querySelectorAll('a[href*="lf-puc.idaho.gov"]'));
-      
-      companyLinks.forEach(link => {
-        const documentName = link.textContent.trim();
-        if (documentName.includes('DIRECT')) {
-          links.push({
-            text: documentName,
-            href: link.href,
-            section: 'Company_Direct',
-            priority: 'required'
-          });
-        }
-      });
+/**
+ * Extract one document, retrying with backoff on a fresh page when it fails or comes back
+ * with too few pages. Returns the (possibly replaced) lease, the best result and its diagnostics.
+ */
+async function extractDocumentWithRetry(lease, caseInfo, docLink, workerId, crawlContext = null) {
+  const diagnostics = {};
+  let bestResult = null;
+
+  for (let attempt = 1; attempt <= RETRY_CONFIG.maxAttempts; attempt++) {
+    diagnostics.attempts = attempt;
+    const resumePages = diagnostics.extractedPages?.size > 0 ? diagnostics.extractedPages : null;
+
+    const textResult = await extractDocumentText(
+      lease.page, 
+      docLink.href, 
+      docLink.documentName, 
+      caseInfo.caseNumber,
+      caseInfo,
+      workerId,
+      diagnostics,
+      resumePages,
+      crawlContext?.signal
+    );
+    if (textResult) {
+      bestResult = textResult;
     }
-    
-    const staffHeaders = Array.from(document.querySelectorAll('.div-header-box')).filter(h => h.textContent.trim() === 'Staff');
-    if (staffHeaders.length > 0) {
-      const staffSection = staffHeaders[0].parentElement;
-      const staffLinks = Array.from(staffSection.querySelectorAll('a[href*="lf-puc.idaho.gov"]'));
-      
-      staffLinks.forEach(link => {
-        const documentName = link.textContent.trim();
-        links.push({
-          text: documentName,
-          href: link.href,
-          section: 'Staff',
-          priority: 'required'
-        });
-      });
+
+    const needsRetry = !textResult || diagnostics.errorClass === 'low_page_rate';
+    if (!needsRetry || attempt === RETRY_CONFIG.maxAttempts || isCancelled(crawlContext)) {
+      break;
     }
-    
-    return links;
-  });
-  
-  return documentLinks;
+
+    const delay = retryDelay(attempt);
+    console.log(`[Worker ${workerId}] 🔁 ${docLink.documentName}: ${diagnostics.errorClass || 'failed'} on attempt ${attempt}/${RETRY_CONFIG.maxAttempts} - retrying on a fresh page in ${Math.round(delay / 1000)}s`);
+    await sleep(delay, crawlContext?.signal);
+    if (isCancelled(crawlContext)) break;
+
+    lease = await browserPool.replacePage(lease, crawlContext?.signal);
+  }
+
+  // A failed retry must not hide the partial text an earlier attempt saved
+  if (bestResult) {
+    bestResult.attempts = diagnostics.attempts;
+  }
+
+  return { lease, textResult: bestResult, diagnostics };
 }
 
-async function processDocumentChunk(caseInfo, documentChunk, workerId, onProgressUpdate = null) {
-  // HEADLESS FOR SPEED - but can switch back to visual if needed
-  const browser = await puppeteer.launch({ 
-    headless: true, // SPEED: headless
-    args: [
-      '--no-sandbox', 
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-web-security',
-      '--disable-features=VizDisplayCompositor'
-    ]
+// EXTRACTION CACHE - documents another job already extracted are rebuilt from their stored page text
+async function cacheExtraction(caseInfo, docLink, diagnostics, crawlContext = null) {
+  // Partial extractions are left for the next job to retry
+  if (diagnostics.errorClass || !diagnostics.extractedText) return;
+
+  const stored = await storeExtraction(docLink.href, {
+    documentName: docLink.documentName,
+    filingDate: findFiling(caseInfo, docLink.href)?.date || null,
+    fullText: diagnostics.extractedText,
+    pages: diagnostics.pagesExtracted,
+    pagesExpected: diagnostics.pagesExpected ?? null,
+    sourceType: diagnostics.sourceType,
+    extractionStrategy: diagnostics.extractionStrategy,
+    ocrPages: diagnostics.ocrPages || 0
   });
+  if (stored && crawlContext?.cacheStats) {
+    crawlContext.cacheStats.stored++;
+  }
+}
+
+async function loadCachedDocuments(caseInfo, documentLinks, crawlContext = null) {
+  const cachedTexts = [];
+  const uncachedLinks = [];
+  const stats = crawlContext?.cacheStats;
+
+  for (const docLink of documentLinks) {
+    const { status, entry, reason } = await getCachedExtraction(docLink.href, findFiling(caseInfo, docLink.href));
+    if (stats) stats[status === 'hit' ? 'hits' : status === 'stale' ? 'stale' : 'misses']++;
+
+    if (status !== 'hit') {
+      if (status === 'stale') console.log(`♻️ Cache stale for ${docLink.documentName}: ${reason}`);
+      uncachedLinks.push(docLink);
+      continue;
+    }
+
+    const diagnostics = {
+      cacheHit: true,
+      viewerType: entry.sourceType,
+      pagesExpected: entry.pagesExpected,
+      ocrPages: entry.ocrPages
+    };
+    const builtResult = buildExtractedDocument(
+      { fullText: entry.fullText, totalPages: entry.pages, documentType: entry.sourceType, extractionStrategy: entry.extractionStrategy },
+      { documentUrl: docLink.href, documentName: docLink.documentName, caseNumber: caseInfo.caseNumber, caseInfo, workerId: 'cache', diagnostics, resumePages: null }
+    );
+    const textResult = builtResult && await storeExtractedDocument(builtResult, diagnostics, crawlContext);
+    if (!textResult) {
+      uncachedLinks.push(docLink);
+      continue;
+    }
+    if (crawlContext?.failureReport) {
+      crawlContext.failureReport.record(caseInfo, docLink, diagnostics, textResult);
+    }
+
+    textResult.fromCache = true;
+    textResult.cachedAt = entry.cachedAt;
+    cachedTexts.push(textResult);
+    if (crawlContext?.onDocumentExtracted) {
+      crawlContext.onDocumentExtracted(textResult);
+    }
+  }
+
+  return { cachedTexts, uncachedLinks };
+}
+
+async function processDocumentChunk(caseInfo, documentChunk, workerId, onProgressUpdate = null, crawlContext = null) {
+  if (isCancelled(crawlContext)) {
+    return [];
+  }
+
+  // Lease a page from the shared pool - waits here when the global page limit is reached
+  let lease = await browserPool.acquirePage(leaseOwner(crawlContext), crawlContext?.signal);
   
   const extractedTexts = [];
   
   try {
-    const page = await browser.newPage();
-    
     for (const docLink of documentChunk) {
-      console.log(`[Worker ${workerId}] 📄 Processing: ${docLink.text}`);
+      // Cancellation is honoured between documents; closing the job's pages interrupts the current one
+      if (isCancelled(crawlContext)) {
+        console.log(`[Worker ${workerId}] 🛑 Job cancelled - stopping after ${extractedTexts.length} documents`);
+        break;
+      }
+
+      console.log(`[Worker ${workerId}] 📄 Processing: ${docLink.documentName}`);
+      
+      const extraction = await extractDocumentWithRetry(lease, caseInfo, docLink, workerId, crawlContext);
+      const { diagnostics } = extraction;
+      lease = extraction.lease;
+      const textResult = extraction.textResult && await storeExtractedDocument(extraction.textResult, diagnostics, crawlContext);
       
-      const textResult = await extractDocumentText(
-        page, 
-        docLink.href, 
-        docLink.text, 
-        caseInfo.caseNumber,
-        caseInfo,
-        workerId
-      );
+      if (crawlContext?.failureReport) {
+        crawlContext.failureReport.record(caseInfo, docLink, diagnostics, textResult);
+      }
       
       if (textResult) {
         extractedTexts.push(textResult);
+        await cacheExtraction(caseInfo, docLink, diagnostics, crawlContext);
+        // Hand the document on right away so it can be chunked while the rest are still extracting
+        if (crawlContext?.onDocumentExtracted) {
+          crawlContext.onDocumentExtracted(textResult);
+        }
+      }
+      
+      // Recycle a crashed page so the rest of this worker's documents get a healthy one
+      if ((lease.crashed || lease.page.isClosed()) && !isCancelled(crawlContext)) {
+        console.log(`[Worker ${workerId}] ♻️ Page crashed - leasing a fresh one`);
+        lease = await browserPool.replacePage(lease, crawlContext?.signal);
       }
       
       // Update progress after each document
@@ -1069,13 +1384,13 @@ async function processDocumentChunk(caseInfo, documentChunk, workerId, onProgres
   } catch (error) {
     console.log(`[Worker ${workerId}] 💥 Error processing chunk: ${error.message}`);
   } finally {
-    await browser.close();
+    await browserPool.releasePage(lease);
   }
   
   return extractedTexts;
 }
 
-async function processDocumentsInParallel(caseInfo, documentLinks, maxWorkers = 15, onProgressUpdate = null) {
+async function processDocumentsInParallel(caseInfo, documentLinks, maxWorkers = 15, onProgressUpdate = null, crawlContext = null) {
   console.log(`📦 Processing ${caseInfo.caseNumber}: ${documentLinks.length} documents with up to ${maxWorkers} workers`);
   
   if (documentLinks.length === 0) {
@@ -1083,13 +1398,22 @@ async function processDocumentsInParallel(caseInfo, documentLinks, maxWorkers =
     return [];
   }
   
-  const effectiveWorkers = Math.min(maxWorkers, documentLinks.length);
-  const documentsPerWorker = Math.ceil(documentLinks.length / effectiveWorkers);
-  const documentChunks = chunkArray(documentLinks, documentsPerWorker);
+  // Cache hits never reach a browser; only the rest are split across workers
+  const { cachedTexts, uncachedLinks } = await loadCachedDocuments(caseInfo, documentLinks, crawlContext);
+  if (cachedTexts.length > 0) {
+    console.log(`💾 ${caseInfo.caseNumber}: ${cachedTexts.length}/${documentLinks.length} documents reused from the extraction cache`);
+  }
+  if (uncachedLinks.length === 0) {
+    return cachedTexts;
+  }
+  
+  const effectiveWorkers = Math.min(maxWorkers, uncachedLinks.length);
+  const documentsPerWorker = Math.ceil(uncachedLinks.length / effectiveWorkers);
+  const documentChunks = chunkArray(uncachedLinks, documentsPerWorker);
   
-  console.log(`📋 Splitting ${documentLinks.length} documents into ${documentChunks.length} chunks of ~${documentsPerWorker} docs each`);
+  console.log(`📋 Splitting ${uncachedLinks.length} documents into ${documentChunks.length} chunks of ~${documentsPerWorker} docs each`);
   
-  const extractedTexts = [];
+  const extractedTexts = [...cachedTexts];
   let completedDocs = 0;
   
   const workerPromises = documentChunks.map((chunk, chunkIndex) => {
@@ -1100,6 +1424,12 @@ async function processDocumentsInParallel(caseInfo, documentLinks, maxWorkers =
           if (onProgressUpdate) {
             onProgressUpdate(completedDocs);
           }
+        }, crawlContext).catch(error => {
+          console.log(`[Worker ${chunkIndex + 1}] 💥 Worker failed to start: ${error.message}`);
+          if (crawlContext?.failureReport) {
+            crawlContext.failureReport.recordUnattempted(caseInfo, chunk, error);
+          }
+          return [];
         }));
       }, chunkIndex * 1500); // Faster stagger
     });
@@ -1116,26 +1446,9 @@ async function processDocumentsInParallel(caseInfo, documentLinks, maxWorkers =
   return extractedTexts;
 }
 
-function preprocessQuery(query) {
-  const originalQuery = query.toLowerCase().trim();
-  
-  let processedQuery = originalQuery
-    .replace(/\brate cases\b/g, 'rate case')
-    .replace(/\bgeneral rate increases\b/g, 'general rate')
-    .replace(/\bcases\b/g, 'case')
-    .replace(/\bincreases\b/g, 'increase')
-    .replace(/\bcompanies\b/g, 'company')
-    .replace(/\btariffs\b/g, 'tariff')
-    .replace(/\brates\b/g, 'rate');
-  
-  console.log('📝 Preprocessed query: "' + originalQuery + '" → "' + processedQuery + '"');
-  return processedQuery;
-}
-
-async function searchCasesByDescription(page, utilityType, caseStatus, query, dateRange) {
-  const searchQuery = preprocessQuery(query);
-  console.log('🔍 Searching ' + caseStatus + ' ' + utilityType + ' cases for: "' + searchQuery + '"');
-  
+// Type a term into the PUC listing's description search and wait for the filtered grid.
+// Returns false, with the unfiltered listing still loaded, when the search controls aren't on the page.
+async function submitSiteSearch(page, searchTerm) {
   const dropdownSuccess = await page.evaluate(() => {
     const dropdown = document.querySelector('select#fc[name="fc"]');
     if (dropdown) {
@@ -1148,22 +1461,22 @@ async function searchCasesByDescription(page, utilityType, caseStatus, query, da
   });
   
   if (!dropdownSuccess) {
-    console.log('❌ Could not find search dropdown - falling back to full listing');
-    return [];
+    console.log('⚠️ Could not find search dropdown');
+    return false;
   }
   
-  const searchSuccess = await page.evaluate((searchTerm) => {
+  const searchSuccess = await page.evaluate((term) => {
     const searchInput = document.querySelector('input[name="fv"]');
     if (searchInput) {
-      searchInput.value = searchTerm;
+      searchInput.value = term;
       return true;
     }
     return false;
-  }, searchQuery);
+  }, searchTerm);
   
   if (!searchSuccess) {
-    console.log('❌ Could not find search input - falling back to full listing');
-    return [];
+    console.log('⚠️ Could not find search input');
+    return false;
   }
   
   const clickSuccess = await page.evaluate(() => {
@@ -1176,114 +1489,122 @@ async function searchCasesByDescription(page, utilityType, caseStatus, query, da
   });
   
   if (!clickSuccess) {
-    console.log('❌ Could not find Go button');
-    return [];
+    console.log('⚠️ Could not find Go button');
+    return false;
   }
   
   await page.waitForNavigation({ waitUntil: 'networkidle0' });
+  return true;
+}
+
+async function searchCasesByDescription(page, caseSource, listing, parsedQuery, dateRange, crawlContext = null) {
+  const utilityType = caseSource.utilityType;
+  const caseStatus = listing.status;
+  let searchQuery = parsedQuery.siteSearch;
   
-  const allCases = await extractCaseListings(page, utilityType, caseStatus);
-  console.log('📋 Found ' + allCases.length + ' cases matching "' + searchQuery + '"');
+  if (searchQuery) {
+    console.log('🔍 Searching ' + caseStatus + ' ' + utilityType + ' cases for: "' + searchQuery + '"');
+    const searched = await submitSiteSearch(page, searchQuery);
+    if (!searched) {
+      // Search controls changed or missing - the page still shows the whole listing, so refine all of it
+      console.log('⚠️ Site search unavailable - refining all ' + caseStatus + ' ' + utilityType + ' cases for: ' + parsedQuery.normalized);
+      searchQuery = null;
+    }
+  } else {
+    // No required description or unfielded term to hand the site's description search - refine the full listing
+    console.log('🔍 Refining all ' + caseStatus + ' ' + utilityType + ' cases for: ' + parsedQuery.normalized);
+  }
   
-  const filteredCases = allCases.filter(caseInfo => {
-    const matches = matchesQuery(caseInfo, query);
-    return matches;
-  });
+  const allCases = await caseSource.parseListing(page, listing);
+  console.log('📋 Found ' + allCases.length + ' cases' + (searchQuery ? ' matching "' + searchQuery + '"' : ''));
+  
+  const matchesQuery = createQueryMatcher(parsedQuery);
+  const filteredCases = allCases.filter(caseInfo => matchesQuery(caseInfo));
   
   console.log('🎯 ' + filteredCases.length + ' cases after client-side refinement');
   
+  // Case-number years settle most cases; only boundary years cost a case page visit
+  const range = resolveDateRange(dateRange);
   const validCases = [];
+  const yearCounts = { skipped: 0, inside: 0, checked: 0 };
   
-  if (caseStatus === 'closed') {
-    let consecutiveTooNew = 0;
-    const MAX_CONSECUTIVE_TOO_NEW = 5;
-    const endDate = new Date(dateRange.end);
+  for (const caseInfo of filteredCases) {
+    if (isCancelled(crawlContext)) break;
     
-    for (const caseInfo of filteredCases) {
-      try {
-        await page.goto(caseInfo.caseUrl, { waitUntil: 'networkidle0' });
-        const isValidDate = await validateCaseDate(page, dateRange.start, dateRange.end);
-        
-        if (isValidDate) {
-          consecutiveTooNew = 0;
-          validCases.push(caseInfo);
-          console.log('✅ Valid: ' + caseInfo.caseNumber);
-        } else {
-          const dateStr = await page.evaluate(() => {
-            const dateFiledCell = document.querySelector('td[data-title="Date Filed"]');
-            if (dateFiledCell) {
-              const match = dateFiledCell.textContent.match(/\d{1,2}\/\d{1,2}\/\d{4}/);
-              return match ? match[0] : null;
-            }
-            return null;
-          });
-          
-          if (dateStr) {
-            const caseDate = new Date(dateStr);
-            if (caseDate > endDate) {
-              consecutiveTooNew++;
-              console.log('⏭️ Too new: ' + caseInfo.caseNumber + ' (' + dateStr + ')');
-              
-              if (consecutiveTooNew >= MAX_CONSECUTIVE_TOO_NEW) {
-                console.log('🛑 Stopping - too many consecutive new dates');
-                break;
-              }
-            } else {
-              consecutiveTooNew = 0;
-              console.log('⏪ Too old: ' + caseInfo.caseNumber + ' (' + dateStr + ')');
-            }
-          }
-        }
-      } catch (error) {
-        console.log('💥 Error validating ' + caseInfo.caseNumber + ': ' + error.message);
-      }
+    const yearCheck = classifyCaseYear(caseSource, caseInfo.caseNumber, range);
+    if (yearCheck === 'before' || yearCheck === 'after') {
+      yearCounts.skipped++;
+      console.log((yearCheck === 'after' ? '⏭️ Too new: ' : '⏪ Too old: ') + caseInfo.caseNumber);
+      continue;
     }
-  } else {
-    let consecutiveInvalidDates = 0;
-    const MAX_CONSECUTIVE_INVALID = 5;
     
-    for (const caseInfo of filteredCases) {
+    if (yearCheck === 'inside') {
+      yearCounts.inside++;
+    } else {
+      yearCounts.checked++;
       try {
         await page.goto(caseInfo.caseUrl, { waitUntil: 'networkidle0' });
-        const isValidDate = await validateCaseDate(page, dateRange.start, dateRange.end);
-        
-        if (!isValidDate) {
-          consecutiveInvalidDates++;
-          if (consecutiveInvalidDates >= MAX_CONSECUTIVE_INVALID) {
-            console.log('🛑 Stopping - too many consecutive invalid dates');
-            break;
-          }
-          continue;
-        }
-        
-        consecutiveInvalidDates = 0;
-        validCases.push(caseInfo);
-        console.log('✅ Valid: ' + caseInfo.caseNumber);
+        const isValidDate = await validateCaseDate(page, caseSource, range);
+        if (!isValidDate) continue;
       } catch (error) {
         console.log('💥 Error validating ' + caseInfo.caseNumber + ': ' + error.message);
+        continue;
       }
     }
+    
+    validCases.push(caseInfo);
+    if (crawlContext?.onCaseValidated) crawlContext.onCaseValidated(caseInfo);
+    console.log('✅ Valid: ' + caseInfo.caseNumber);
   }
   
+  console.log('📅 Case-number years: ' + yearCounts.skipped + ' out of range, ' + yearCounts.inside + ' inside range, ' + yearCounts.checked + ' checked on the case page');
+  
   return validCases;
 }
 
 class ProvenWorkingCrawler {
-  constructor() {
-    this.progressTracker = new ProgressTracker();
-  }
-
-  async crawlCases(query, utilities = ['electric', 'natural_gas'], dateRange = { start: '2024-01-01', end: '2025-12-31' }, maxParallel = 15, onProgressUpdate = null) {
+  async crawlCases(query, utilities = ['electric', 'natural_gas'], dateRange = { start: '2024-01-01', end: '2025-12-31' }, maxParallel = 15, onProgressUpdate = null, options = {}) {
     console.log(`🚀 Starting PROVEN WORKING crawler with ${maxParallel} workers...`);
-    console.log(`⚡ Optimizations: Headless browsers, WebLink text fix, complete extraction`);
+    console.log(`⚡ Optimizations: Pooled headless browsers, pipelined cases, WebLink text fix, complete extraction`);
+    
+    // One tracker per crawl so concurrent jobs report their own progress
+    const progressTracker = new ProgressTracker();
+    const reportPhase = (phase) => {
+      if (options.onPhaseChange) {
+        options.onPhaseChange(phase);
+      }
+    };
+    
+    // Parsed once; drives both the PUC site search and client-side refinement
+    const parsedQuery = options.parsedQuery || parseDiscoveryQuery(query);
+    console.log(`📝 Discovery query: ${parsedQuery.normalized}`);
+    const documentClasses = options.documentClasses || null;
+    console.log(`📂 Document classes: ${documentClasses ? documentClasses.join(', ') : `default (${DEFAULT_SELECTION})`}`);
+    
+    // Cancellation closes every pooled page this crawl leased; loops stop at the next checkpoint
+    const jobId = options.jobId || uuidv4();
+    const crawlContext = {
+      jobId,
+      signal: options.signal || null,
+      failureReport: new FailureReport(),
+      cacheStats: { hits: 0, misses: 0, stale: 0, stored: 0 },
+      storage: getJobStorage(jobId) // Job-scoped so concurrent jobs never overwrite each other's files
+    };
+    const onAbort = () => browserPool.releaseOwner(jobId);
+    if (crawlContext.signal) {
+      crawlContext.signal.addEventListener('abort', onAbort, { once: true });
+    }
     
     const result = { 
-      jobId: uuidv4(), 
+      jobId, 
       query, 
+      parsedQuery,
+      documentClasses,
       utilities, 
       dateRange, 
       maxParallel,
       casesFound: [], 
+      linkManifest: {}, // caseNumber → documents that will be fetched for that case
       allExtractedDocuments: [],
       documentsByCaseNumber: {},
       chatReadyData: {
@@ -1306,7 +1627,15 @@ class ProvenWorkingCrawler {
         averageDocumentLength: 0,
         workersUtilized: 0,
         optimizations: [
-          'Headless browsers for speed',
+          'Shared headless browser pool',
+          'Pipelined discovery, extraction and chunking',
+          'Per-document retry with backoff and page resume',
+          'Discovery query language with site search pre-filter',
+          'Case-number year pre-filter before Date Filed checks',
+          'Classified document selection',
+          'Persistent extracted-document cache',
+          'Direct PDF download with pdf-parse',
+          'Offline OCR for image-only pages',
           'WebLink text quality fix',
           'Complete document extraction',
           'Proven extraction logic',
@@ -1316,147 +1645,142 @@ class ProvenWorkingCrawler {
     };
     const startTime = Date.now();
     
-    try {
-      console.log('🔍 Step 1: Case discovery...');
-      const allValidCases = await this.discoverCases(utilities, query, dateRange);
-      
-      console.log(`🎯 Found ${allValidCases.length} valid cases`);
-      
-      if (allValidCases.length === 0) {
-        console.log('⚠️ No valid cases found');
-        return result;
+    // Phases only move forward - with pipelining, discovery is still running while cases extract
+    const phaseOrder = ['discovery', 'link_counting', 'extraction'];
+    let currentPhase = null;
+    const advancePhase = (phase) => {
+      if (phaseOrder.indexOf(phase) > phaseOrder.indexOf(currentPhase)) {
+        currentPhase = phase;
+        reportPhase(phase);
       }
-
-      // Count total documents across all cases
-      console.log('📊 Counting total documents...');
-      let totalDocuments = 0;
-      const caseDocumentCounts = {};
-      
-      for (const caseInfo of allValidCases) {
-        const browser = await puppeteer.launch({ 
-          headless: true,
-          args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
-        
-        const page = await browser.newPage();
-        const documentLinks = await getDocumentLinksFromCase(page, caseInfo);
-        await browser.close();
-        
-        caseDocumentCounts[caseInfo.caseNumber] = documentLinks.length;
-        totalDocuments += documentLinks.length;
-      }
-
-      console.log(`📄 Total documents to extract: ${totalDocuments}`);
-      
-      // Initialize progress tracker
-      this.progressTracker.initialize(totalDocuments, maxParallel, onProgressUpdate);
-      
-      console.log(`📄 Step 2: Complete document extraction...`);
-      
-      let totalWorkersUsed = 0;
-      let totalExtracted = 0;
+    };
+    
+    let totalExtracted = 0;
+    let totalWorkersUsed = 0;
+    let activeWorkers = 0;
+    
+    // Each validated case is queued straight away: links → parallel extraction → documents handed back one by one
+    const extractCase = async (caseInfo) => {
+      if (isCancelled(crawlContext) || result.linkManifest[caseInfo.caseNumber]) return;
       
-      for (const caseInfo of allValidCases) {
-        console.log(`\n🔄 Processing case: ${caseInfo.caseNumber}`);
-        
-        const browser = await puppeteer.launch({ 
-          headless: true,
-          args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
+      try {
+        advancePhase('link_counting');
+        const caseSource = getCaseSource(caseInfo.utilityType);
+        const { documentLinks, caseDetails } = await browserPool.withPage(jobId, async (page) => {
+          const links = await caseSource.selectDocuments(page, caseInfo, { documentClasses });
+          return { documentLinks: links, caseDetails: await readCaseDetails(page, caseSource, caseInfo) };
+        }, crawlContext.signal);
+        caseInfo = { ...caseInfo, ...caseDetails };
         
-        const page = await browser.newPage();
-        const documentLinks = await getDocumentLinksFromCase(page, caseInfo);
-        await browser.close();
+        result.linkManifest[caseInfo.caseNumber] = {
+          caseNumber: caseInfo.caseNumber,
+          company: caseInfo.company,
+          utilityType: caseInfo.utilityType,
+          caseStatus: caseInfo.caseStatus,
+          caseType: caseInfo.caseType || null,
+          dateFiled: caseInfo.dateFiled || null,
+          caseUrl: caseInfo.caseUrl,
+          totalDocuments: documentLinks.length,
+          documents: documentLinks
+        };
+        progressTracker.addDocuments(documentLinks.length);
+        if (options.onLinkManifest) {
+          options.onLinkManifest(result.linkManifest);
+        }
         
         if (documentLinks.length === 0) {
           console.log(`⚠️ No documents found for ${caseInfo.caseNumber}, skipping...`);
-          continue;
+          return;
         }
+        if (isCancelled(crawlContext)) return;
         
-        // Update progress tracker with current case
-        const currentCaseTotal = caseDocumentCounts[caseInfo.caseNumber];
-        const activeWorkers = Math.min(maxParallel, documentLinks.length);
+        console.log(`\n🔄 Processing case: ${caseInfo.caseNumber}`);
+        advancePhase('extraction');
         
-        this.progressTracker.updateProgress(
-          totalExtracted,
-          `Processing ${caseInfo.caseNumber}`,
-          { extracted: 0, total: currentCaseTotal },
-          activeWorkers
-        );
+        const caseResult = {
+          ...caseInfo,
+          documents: 0,
+          extractedTexts: [],
+          textFilesCreated: 0
+        };
+        result.documentsByCaseNumber[caseInfo.caseNumber] = { caseInfo: caseResult, documents: [] };
         
-        const extractedTexts = await processDocumentsInParallel(
-          caseInfo, 
-          documentLinks, 
-          maxParallel,
-          (caseExtracted) => {
-            // Update progress during case processing
-            this.progressTracker.updateProgress(
-              totalExtracted + caseExtracted,
+        const caseWorkers = Math.min(maxParallel, documentLinks.length);
+        totalWorkersUsed = Math.max(totalWorkersUsed, caseWorkers);
+        activeWorkers += caseWorkers;
+        
+        const caseContext = {
+          ...crawlContext,
+          onDocumentExtracted: (textResult) => {
+            caseResult.extractedTexts.push(textResult);
+            caseResult.documents = caseResult.textFilesCreated = caseResult.extractedTexts.length;
+            addExtractedDocument(result, caseResult, textResult);
+            totalExtracted++;
+            
+            progressTracker.updateProgress(
+              totalExtracted,
               `Processing ${caseInfo.caseNumber}`,
-              { extracted: caseExtracted, total: currentCaseTotal },
+              { extracted: caseResult.extractedTexts.length, total: documentLinks.length },
               activeWorkers
             );
+            
+            if (options.onDocumentExtracted) {
+              options.onDocumentExtracted(textResult, caseResult);
+            }
           }
-        );
-        
-        totalExtracted += extractedTexts.length;
-        
-        const workersUsedThisCase = Math.min(maxParallel, documentLinks.length);
-        totalWorkersUsed = Math.max(totalWorkersUsed, workersUsedThisCase);
-        
-        const caseResult = {
-          ...caseInfo,
-          documents: extractedTexts.length,
-          extractedTexts,
-          textFilesCreated: extractedTexts.length
         };
         
-        result.casesFound.push(caseResult);
+        try {
+          await processDocumentsInParallel(caseInfo, documentLinks, maxParallel, null, caseContext);
+        } finally {
+          activeWorkers -= caseWorkers;
+        }
         
-        extractedTexts.forEach(textResult => {
-          result.allExtractedDocuments.push(textResult);
-          
-          if (!result.documentsByCaseNumber[caseResult.caseNumber]) {
-            result.documentsByCaseNumber[caseResult.caseNumber] = {
-              caseInfo: caseResult,
-              documents: []
-            };
-          }
-          result.documentsByCaseNumber[caseResult.caseNumber].documents.push(textResult);
-          
-          result.chatReadyData.documents.push({
-            id: textResult.filename,
-            caseNumber: textResult.caseNumber,
-            company: textResult.company,
-            utilityType: textResult.utilityType,
-            caseStatus: textResult.caseStatus,
-            documentName: textResult.documentName,
-            documentType: textResult.documentType,
-            content: textResult.content,
-            citation: textResult.citation,
-            metadata: {
-              caseDescription: caseResult.description,
-              extractedAt: textResult.extractedAt,
-              pageCount: textResult.pages
-            }
-          });
-        });
+        result.casesFound.push(caseResult);
         
-        // Update progress after case completion
-        this.progressTracker.updateProgress(
+        progressTracker.updateProgress(
           totalExtracted,
           `Completed ${caseInfo.caseNumber}`,
-          { extracted: extractedTexts.length, total: currentCaseTotal },
-          0
+          { extracted: caseResult.extractedTexts.length, total: documentLinks.length },
+          activeWorkers
         );
-        
-        if (allValidCases.indexOf(caseInfo) < allValidCases.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        }
+      } catch (error) {
+        console.log(`💥 Error processing case ${caseInfo.caseNumber}: ${error.message}`);
       }
+    };
+    
+    try {
+      console.log('🔍 Step 1: Case discovery - cases are extracted as soon as they validate...');
+      advancePhase('discovery');
+      progressTracker.initialize(0, maxParallel, onProgressUpdate);
+      
+      const caseQueue = createTaskQueue(MAX_CONCURRENT_CASES);
+      const caseTasks = [];
+      crawlContext.onCaseValidated = (caseInfo) => {
+        caseTasks.push(caseQueue.run(() => extractCase(caseInfo)));
+      };
+      
+      // A failed listing ends discovery but keeps the cases already queued for extraction
+      let allValidCases = [];
+      try {
+        allValidCases = await this.discoverCases(utilities, parsedQuery, dateRange, crawlContext);
+      } catch (error) {
+        console.log(`💥 Case discovery stopped early: ${error.message}`);
+      }
+      progressTracker.completeDiscovery();
+      
+      console.log(`🎯 Found ${allValidCases.length} valid cases`);
+      if (allValidCases.length === 0) {
+        console.log('⚠️ No valid cases found');
+      }
+      
+      // Wait for the cases still in flight or queued behind the concurrency limit
+      await Promise.all(caseTasks);
+      
+      console.log(`📄 Extracted ${totalExtracted} documents from ${result.casesFound.length} cases`);
       
       // Stop progress tracker
-      const finalProgress = this.progressTracker.stop();
+      const finalProgress = progressTracker.stop();
       
       console.log('\n📊 Compiling final results...');
       
@@ -1471,6 +1795,7 @@ class ProvenWorkingCrawler {
       result.summary.totalDocuments = result.allExtractedDocuments.length;
       result.summary.totalTextFiles = result.allExtractedDocuments.length;
       result.summary.workersUtilized = totalWorkersUsed;
+      result.summary.browserPool = browserPool.getStats();
       result.summary.averageDocumentLength = result.allExtractedDocuments.length > 0 ? Math.round(
         result.allExtractedDocuments.reduce((sum, doc) => sum + doc.textLength, 0) / result.allExtractedDocuments.length
       ) : 0;
@@ -1495,13 +1820,27 @@ class ProvenWorkingCrawler {
       
     } catch (error) {
       console.log('💥 Fatal error in proven working crawler:', error.message);
-      this.progressTracker.stop();
+      progressTracker.stop();
     }
     
     result.summary.processingTime = Math.round((Date.now() - startTime) / 1000);
     
-    // === ADD FAILURE REPORT ===
-
+    if (crawlContext.signal) {
+      crawlContext.signal.removeEventListener('abort', onAbort);
+    }
+    result.cancelled = isCancelled(crawlContext);
+    result.summary.cancelled = result.cancelled;
+    if (result.cancelled) {
+      console.log(`🛑 Crawl cancelled - keeping ${result.allExtractedDocuments.length} documents extracted so far`);
+    }
+    
+    result.summary.failureReport = crawlContext.failureReport.getReport();
+    result.summary.extractionCache = crawlContext.cacheStats;
+    console.log(`💾 Extraction cache: ${crawlContext.cacheStats.hits} hits, ${crawlContext.cacheStats.misses} misses, ${crawlContext.cacheStats.stale} stale, ${crawlContext.cacheStats.stored} stored`);
+    const { attempted, failed, partial } = result.summary.failureReport;
+    if (failed > 0 || partial > 0) {
+      console.log(`⚠️ Failure report: ${failed} failed, ${partial} partial out of ${attempted} attempted documents`);
+    }
     
     console.log('\n🎉 PROVEN WORKING extraction complete!');
     console.log(`📊 Summary: ${result.summary.totalCases} cases, ${result.summary.totalTextFiles} text files created`);
@@ -1515,44 +1854,37 @@ class ProvenWorkingCrawler {
     return result;
   }
   
-  async discoverCases(utilities, query, dateRange) {
-    const browser = await puppeteer.launch({ 
-      headless: true, // SPEED
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    
+  async discoverCases(utilities, parsedQuery, dateRange, crawlContext = null) {
     const allValidCases = [];
     
-    try {
-      for (const util of utilities) {
-        const utilityLinks = caseListingUrls.filter((u) => u.type === util);
+    for (const util of utilities) {
+      const caseSource = getCaseSource(util);
+      if (!caseSource) {
+        console.log('⚠️ No case source registered for utility type "' + util + '" - skipping');
+        continue;
+      }
+      
+      for (const listing of caseSource.listings) {
+        if (isCancelled(crawlContext)) break;
         
-        for (const link of utilityLinks) {
-          const page = await browser.newPage();
+        const validCases = await browserPool.withPage(leaseOwner(crawlContext), async (page) => {
+          console.log('🔍 Discovering ' + util + ' ' + listing.status + ' cases...');
           
-          try {
-            console.log('🔍 Discovering ' + link.type + ' ' + link.status + ' cases...');
-            
-            await page.goto(link.url, { waitUntil: 'networkidle0' });
-            
-            const validCases = await searchCasesByDescription(
-              page, 
-              link.type, 
-              link.status, 
-              query, 
-              dateRange
-            );
-            
-            allValidCases.push(...validCases);
-            console.log('✅ ' + link.type + ' ' + link.status + ': ' + validCases.length + ' valid cases');
-            
-          } finally {
-            await page.close();
-          }
-        }
+          await page.goto(listing.url, { waitUntil: 'networkidle0' });
+          
+          return searchCasesByDescription(
+            page, 
+            caseSource, 
+            listing, 
+            parsedQuery, 
+            dateRange,
+            crawlContext
+          );
+        }, crawlContext?.signal);
+        
+        allValidCases.push(...validCases);
+        console.log('✅ ' + util + ' ' + listing.status + ': ' + validCases.length + ' valid cases');
       }
-    } finally {
-      await browser.close();
     }
     
     return allValidCases;
@@ -1561,8 +1893,25 @@ class ProvenWorkingCrawler {
 
 const provenWorkingCrawler = new ProvenWorkingCrawler();
 
-export async function crawlCases(query, utilities, dateRange, maxParallel = 15, onProgressUpdate = null) {
-  return provenWorkingCrawler.crawlCases(query, utilities, dateRange, maxParallel, onProgressUpdate);
+/**
+ * Crawl Idaho PUC cases matching a query and extract their documents
+ * @param {string} query - Discovery query (phrases, AND/OR/NOT, company:/case:/description: fields, prefix wildcards) matched against cases
+ * @param {string[]} utilities - Utility types to crawl
+ * @param {Object} dateRange - { start, end } filing date range
+ * @param {number} [maxParallel] - Maximum extraction workers per case (default: 15)
+ * @param {Function} [onProgressUpdate] - Called with progress snapshots during extraction
+ * @param {Object} [options] - Additional crawl options
+ * @param {string} [options.jobId] - Research job ID to use instead of minting a new one
+ * @param {Object} [options.parsedQuery] - Already parsed query from parseDiscoveryQuery; parsed from `query` when omitted
+ * @param {string[]} [options.documentClasses] - Document classes to fetch (see documentClassifier.js); null or omitted fetches the default selection
+ * @param {Function} [options.onPhaseChange] - Called with 'discovery', 'link_counting' and 'extraction' as the crawl advances
+ * @param {Function} [options.onLinkManifest] - Called with the per-case link manifest each time a case's links are added
+ * @param {Function} [options.onDocumentExtracted] - Called with (textResult, caseResult) as each document's text lands
+ * @param {AbortSignal} [options.signal] - Aborts the crawl between documents and closes its pooled pages
+ * @returns {Promise<Object>} Crawl result with extracted documents and summary
+ */
+export async function crawlCases(query, utilities, dateRange, maxParallel = 15, onProgressUpdate = null, options = {}) {
+  return provenWorkingCrawler.crawlCases(query, utilities, dateRange, maxParallel, onProgressUpdate, options);
 }
 
 export default provenWorkingCrawler;
\ No newline at end of file
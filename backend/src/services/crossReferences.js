@@ -0,0 +1,244 @@
+// backend/src/services/crossReferences.js
+// Cross-References - Case and order numbers cited in filings, and the case citation graph they form
+
+import { flattenText } from './textLayout.js';
+
+// IPC-E-23-11, AVU-G-22-07; a wrapped line can leave a space after a hyphen ("IPC-E-23- 11")
+const CASE_REFERENCE_PATTERN = /\b([A-Z]{2,4})-\s?([A-Z])-\s?(\d{2})-\s?(\d{1,3})\b/g;
+// Order No. 36042, Order Nos. 36042 and 36043, Order No. 35,421
+const ORDER_REFERENCE_PATTERN = /\bOrder\s+Nos?\.?\s*(\d{1,2},?\d{3}(?:\s*(?:,|and|&)\s*(?:No\.?\s*)?\d{1,2},?\d{3})*)/gi;
+const ORDER_NUMBER_PATTERN = /\d{1,2},?\d{3}/g;
+// An order's own number in its document name: "ORDER NO 36042", "Final Order No. 36042"
+const ORDER_NAME_PATTERN = /\bORDER\s+NO\.?\s*(\d{1,2},?\d{3})\b/i;
+
+const CONTEXT_LENGTH = 80;
+// What may sit between an order and the case it was issued in: "Order No. 36042 in Case No. IPC-E-23-11",
+// "Order No. 36042 (Case IPC-E-23-11)", "Order No. 36042, issued in Case No. IPC-E-23-11"
+const ORDER_CASE_GAP_PATTERN = /^[\s,(]*(?:(?:issued|entered)\s+)?(?:in\s+)?(?:Case\s+(?:No\.?\s*)?)?$/i;
+
+// Canonical case number: upper case, sequence padded to two digits (IPC-E-23-1 → IPC-E-23-01)
+export function normalizeCaseReference(caseNumber) {
+  const match = (caseNumber || '').toUpperCase().replace(/\s+/g, '').match(/^([A-Z]{2,4})-([A-Z])-(\d{2})-(\d{1,3})$/);
+  if (!match) return null;
+  return `${match[1]}-${match[2]}-${match[3]}-${match[4].padStart(2, '0')}`;
+}
+
+function normalizeOrderNumber(orderNumber) {
+  return orderNumber.replace(/,/g, '');
+}
+
+function contextAround(text, start, end) {
+  const before = Math.max(0, start - CONTEXT_LENGTH);
+  const after = Math.min(text.length, end + CONTEXT_LENGTH);
+  return `${before > 0 ? '…' : ''}${text.slice(before, after).trim()}${after < text.length ? '…' : ''}`;
+}
+
+/**
+ * Case and order numbers cited in a chunk
+ * @param {string} text - Chunk content
+ * @param {string} [ownCaseNumber] - The chunk's own case; references to it aren't cross-references
+ * @returns {Array} One entry per distinct reference, in order of first mention:
+ *   { type: 'case'|'order', reference, caseNumber, orderNumber, raw, context }.
+ *   caseNumber on an order is the case named right after it ("Order No. 36042 in Case No. IPC-E-23-11"), else null.
+ */
+export function extractCrossReferences(text, ownCaseNumber = null) {
+  const flat = flattenText(text);
+  const ownCase = normalizeCaseReference(ownCaseNumber);
+  const caseMentions = [...flat.matchAll(CASE_REFERENCE_PATTERN)].map(match => ({
+    caseNumber: normalizeCaseReference(`${match[1]}-${match[2]}-${match[3]}-${match[4]}`),
+    raw: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+
+  const mentions = caseMentions
+    .filter(mention => mention.caseNumber !== ownCase)
+    .map(mention => ({
+      type: 'case',
+      reference: mention.caseNumber,
+      caseNumber: mention.caseNumber,
+      orderNumber: null,
+      raw: mention.raw,
+      start: mention.start,
+      context: contextAround(flat, mention.start, mention.end)
+    }));
+
+  for (const match of flat.matchAll(ORDER_REFERENCE_PATTERN)) {
+    const end = match.index + match[0].length;
+    const followingCase = caseMentions.find(mention => mention.start >= end && ORDER_CASE_GAP_PATTERN.test(flat.slice(end, mention.start)));
+
+    for (const orderNumber of match[1].match(ORDER_NUMBER_PATTERN)) {
+      const normalized = normalizeOrderNumber(orderNumber);
+      mentions.push({
+        type: 'order',
+        reference: `Order No. ${normalized}`,
+        caseNumber: followingCase?.caseNumber || null,
+        orderNumber: normalized,
+        raw: match[0],
+        start: match.index,
+        context: contextAround(flat, match.index, end)
+      });
+    }
+  }
+
+  const seen = new Set();
+  return mentions
+    .sort((a, b) => a.start - b.start)
+    .filter(mention => {
+      if (seen.has(mention.reference)) return false;
+      seen.add(mention.reference);
+      return true;
+    })
+    .map(({ start, ...reference }) => reference);
+}
+
+// The order number an order document carries in its name, or null
+export function readOrderNumber(documentName) {
+  const match = (documentName || '').match(ORDER_NAME_PATTERN);
+  return match ? normalizeOrderNumber(match[1]) : null;
+}
+
+/**
+ * Build the case citation graph from a session's search documents
+ * Case references resolve to their case number; order references resolve through the order documents in the
+ * corpus (by name), else through the case cited right after the order. A reference whose case is one of the
+ * session's researched cases is `inCorpus`. Self-citations are dropped.
+ * @param {Array} documents - Search documents (DynamicPUCResearchService.prepareDocumentsForSearch) with metadata.references
+ * @param {Array} cases - Session cases: [{ caseNumber, company, caseUrl }]
+ * @returns {Object} { cases: Map<caseNumber, node>, unresolved: Map<reference, node> } where a node is
+ *   { caseNumber, company, caseUrl, inCorpus, cites: Map<caseNumber, citation>, citedBy: Map<documentKey, citation> }
+ */
+export function buildCitationGraph(documents, cases) {
+  const graph = { cases: new Map(), unresolved: new Map() };
+
+  const caseNode = (caseNumber) => {
+    if (!graph.cases.has(caseNumber)) {
+      graph.cases.set(caseNumber, { caseNumber, company: null, caseUrl: null, inCorpus: false, cites: new Map(), citedBy: new Map() });
+    }
+    return graph.cases.get(caseNumber);
+  };
+
+  for (const researched of cases) {
+    const caseNumber = normalizeCaseReference(researched.caseNumber);
+    if (!caseNumber) continue;
+    Object.assign(caseNode(caseNumber), { company: researched.company || null, caseUrl: researched.caseUrl || null, inCorpus: true });
+  }
+
+  // Orders in the corpus, by number
+  const orderCases = new Map();
+  for (const document of documents) {
+    const orderNumber = document.metadata.documentType === 'order' ? readOrderNumber(document.metadata.documentName) : null;
+    const caseNumber = normalizeCaseReference(document.metadata.caseNumber);
+    if (orderNumber && caseNumber) orderCases.set(orderNumber, caseNumber);
+  }
+
+  const addCitation = (citations, key, document, reference, fields) => {
+    if (!citations.has(key)) {
+      citations.set(key, { ...fields, references: [], documents: new Map() });
+    }
+    const citation = citations.get(key);
+    if (!citation.references.includes(reference.reference)) citation.references.push(reference.reference);
+
+    const documentKey = document.metadata.documentUrl || document.metadata.documentName;
+    if (!citation.documents.has(documentKey)) {
+      citation.documents.set(documentKey, {
+        caseNumber: document.metadata.caseNumber,
+        documentName: document.metadata.documentName,
+        documentType: document.metadata.documentType,
+        documentUrl: document.metadata.documentUrl,
+        pageNumbers: [],
+        contexts: []
+      });
+    }
+    const citingDocument = citation.documents.get(documentKey);
+    if (document.metadata.pageNumber !== null && document.metadata.pageNumber !== undefined &&
+        !citingDocument.pageNumbers.includes(document.metadata.pageNumber)) {
+      citingDocument.pageNumbers.push(document.metadata.pageNumber);
+    }
+    if (citingDocument.contexts.length < 3 && !citingDocument.contexts.includes(reference.context)) {
+      citingDocument.contexts.push(reference.context);
+    }
+    return citingDocument;
+  };
+
+  for (const document of documents) {
+    const citingCase = normalizeCaseReference(document.metadata.caseNumber);
+    if (!citingCase) continue;
+
+    for (const reference of document.metadata.references || []) {
+      const citedCase = reference.type === 'case'
+        ? reference.caseNumber
+        : orderCases.get(reference.orderNumber) || reference.caseNumber;
+
+      if (!citedCase) {
+        addCitation(graph.unresolved, reference.reference, document, reference, { reference: reference.reference, type: reference.type });
+        continue;
+      }
+      if (citedCase === citingCase) continue;
+
+      caseNode(citedCase);
+      const citingNode = caseNode(citingCase);
+      addCitation(citingNode.cites, citedCase, document, reference, { caseNumber: citedCase });
+      const documentKey = document.metadata.documentUrl || document.metadata.documentName;
+      addCitation(graph.cases.get(citedCase).citedBy, documentKey, document, reference, { caseNumber: citingCase });
+    }
+  }
+
+  return graph;
+}
+
+// Maps → arrays for API responses, page numbers sorted
+function serializeCitations(citations) {
+  return Array.from(citations.values()).map(citation => ({
+    ...citation,
+    documents: Array.from(citation.documents.values()).map(document => ({
+      ...document,
+      pageNumbers: [...document.pageNumbers].sort((a, b) => a - b)
+    }))
+  }));
+}
+
+/**
+ * One case's place in the graph: the documents that cite it and the cases it cites
+ * @returns {Object} { caseNumber, company, caseUrl, inCorpus, citedBy, cites }
+ */
+export function describeCaseCitations(graph, caseNumber) {
+  const node = graph.cases.get(caseNumber);
+  if (!node) {
+    return { caseNumber, company: null, caseUrl: null, inCorpus: false, citedBy: [], cites: [] };
+  }
+
+  const citedBy = serializeCitations(node.citedBy).flatMap(citation => citation.documents.map(document => ({
+    ...document,
+    references: citation.references
+  })));
+  const cites = serializeCitations(node.cites).map(citation => {
+    const cited = graph.cases.get(citation.caseNumber);
+    return { ...citation, company: cited.company, inCorpus: cited.inCorpus };
+  });
+
+  return { caseNumber, company: node.company, caseUrl: node.caseUrl, inCorpus: node.inCorpus, citedBy, cites };
+}
+
+/**
+ * Graph summary: every case with its citation counts, the case-to-case edges, and references that didn't resolve
+ * @returns {Object} { cases, edges, unresolved }
+ */
+export function summarizeCitationGraph(graph) {
+  const cases = Array.from(graph.cases.values()).map(node => ({
+    caseNumber: node.caseNumber,
+    company: node.company,
+    inCorpus: node.inCorpus,
+    cites: node.cites.size,
+    citedBy: node.citedBy.size
+  }));
+  const edges = Array.from(graph.cases.values()).flatMap(node =>
+    Array.from(node.cites.values()).map(citation => ({
+      from: node.caseNumber,
+      to: citation.caseNumber,
+      references: citation.references,
+      documents: citation.documents.size
+    }))
+  );
+  return { cases, edges, unresolved: serializeCitations(graph.unresolved) };
+}
@@ -0,0 +1,90 @@
+// backend/src/services/documentClassifier.js
+// Document Classifier - Sort case filings into a taxonomy so research jobs can choose what to fetch
+
+/**
+ * Document classes, checked in order - the first match wins, so narrow classes come first
+ * (surrebuttal before rebuttal, staff comments before generic staff filings). Everything an intervenor
+ * files is an intervenor filing, whatever kind of document it is.
+ * `section` limits a class to one filing section of the case page; `pattern` is tested against the document name.
+ */
+const DOCUMENT_CLASSES = [
+  { key: 'order', label: 'Commission Order', section: 'Commission', pattern: /\bORDER\b/i },
+  { key: 'notice', label: 'Commission Notice', section: 'Commission', pattern: /\bNOTICE\b/i },
+  { key: 'intervenor_filing', label: 'Intervenor Filing', section: 'Intervenor', pattern: /./ },
+  { key: 'public_comment', label: 'Public Comment', pattern: /\bPUBLIC COMMENTS?\b|\bCUSTOMER COMMENTS?\b/i },
+  { key: 'exhibit', label: 'Exhibits', pattern: /\bEXHIBITS?\b|\bATTACHMENTS?\b|\bWORKPAPERS?\b/i },
+  { key: 'surrebuttal_testimony', label: 'Surrebuttal Testimony', pattern: /\bSURREBUTTAL\b/i },
+  { key: 'rebuttal_testimony', label: 'Rebuttal Testimony', pattern: /\bREBUTTAL\b/i },
+  { key: 'staff_comments', label: 'Staff Comments', section: 'Staff', pattern: /\bCOMMENTS?\b/i },
+  { key: 'staff_testimony', label: 'Staff Testimony', section: 'Staff', pattern: /\bDIRECT\b|\bTESTIMONY\b/i },
+  { key: 'staff_document', label: 'Staff Document', section: 'Staff', pattern: /./ },
+  { key: 'intervenor_filing', label: 'Intervenor Filing', pattern: /\bINTERVEN/i },
+  { key: 'direct_testimony', label: 'Direct Testimony', pattern: /\bDIRECT\b/i },
+  { key: 'application', label: 'Application', pattern: /\bAPPLICATION\b|\bPETITION\b/i },
+  { key: 'discovery', label: 'Production Request / Response', pattern: /\bPRODUCTION REQUESTS?\b|\bRESPONSES? TO\b/i },
+  { key: 'order', label: 'Commission Order', pattern: /\bORDER NO\b/i },
+  { key: 'other', label: 'Other Filing', pattern: /./ }
+];
+
+const CLASS_LABELS = Object.fromEntries(DOCUMENT_CLASSES.map(docClass => [docClass.key, docClass.label]));
+
+// What the crawler fetched before classes existed, and still fetches when a request names no classes.
+// A rule on section and name rather than a class list: Staff exhibits, rebuttal and Company "DIRECT ... EXHIBITS"
+// all fall in classes that are not fetched by default anywhere else.
+export const DEFAULT_SELECTION = 'Every Staff filing and each Company filing with DIRECT in its name';
+
+// Classes written as numbered Q. / A. testimony, which the processor segments into question–answer units
+const TESTIMONY_CLASSES = ['direct_testimony', 'rebuttal_testimony', 'surrebuttal_testimony', 'staff_testimony'];
+
+// Case page header box title → filing section
+export function normalizeSection(title) {
+  const text = (title || '').trim();
+  if (/^company/i.test(text)) return 'Company';
+  if (/^staff/i.test(text)) return 'Staff';
+  if (/intervenor/i.test(text)) return 'Intervenor';
+  if (/commission|order|notice/i.test(text)) return 'Commission';
+  return text || null;
+}
+
+/**
+ * Classify one filing from its name and the case page section it was listed under
+ * @param {Object} filing - { documentName, section } where section is a normalizeSection() value or null
+ * @returns {string} Document class key, 'other' when nothing more specific matches
+ */
+export function classifyDocument({ documentName, section = null }) {
+  const name = documentName || '';
+  const match = DOCUMENT_CLASSES.find(docClass =>
+    (!docClass.section || docClass.section === section) && docClass.pattern.test(name)
+  );
+  return match.key;
+}
+
+export function getDocumentClassLabel(documentClass) {
+  return CLASS_LABELS[documentClass] || documentClass;
+}
+
+export function getDocumentClasses() {
+  return Object.entries(CLASS_LABELS).map(([key, label]) => ({ key, label }));
+}
+
+export function isDocumentClass(documentClass) {
+  return Object.hasOwn(CLASS_LABELS, documentClass);
+}
+
+export function isDefaultSelection({ documentName, section }) {
+  return section === 'Staff' || (section === 'Company' && (documentName || '').includes('DIRECT'));
+}
+
+/**
+ * Filings a research job fetches from one case
+ * @param {Array} filings - Classified filings: { documentName, section, documentClass, ... }
+ * @param {string[]|null} [documentClasses] - Classes to fetch; null fetches the DEFAULT_SELECTION
+ * @returns {Array} The selected filings, in page order
+ */
+export function selectFilings(filings, documentClasses = null) {
+  return filings.filter(filing => documentClasses ? documentClasses.includes(filing.documentClass) : isDefaultSelection(filing));
+}
+
+export function isTestimonyClass(documentClass) {
+  return TESTIMONY_CLASSES.includes(documentClass);
+}
@@ -0,0 +1,97 @@
+// backend/src/services/extractionCache.js
+// Extracted-Document Cache - Keeps extracted page text per document URL so later jobs skip the browser
+
+import crypto from 'crypto';
+import { getStorage } from './storage.js';
+
+const DEFAULT_MAX_AGE_DAYS = 90;
+
+// 0 is a real setting here, so `parseInt(...) || 90` won't do; malformed or negative values get the default
+function readMaxAgeDays(value) {
+  const days = parseInt(value ?? DEFAULT_MAX_AGE_DAYS);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_MAX_AGE_DAYS : days;
+}
+
+const CACHE_CONFIG = {
+  enabled: process.env.EXTRACTION_CACHE_ENABLED !== 'false',
+  maxAgeDays: readMaxAgeDays(process.env.EXTRACTION_CACHE_MAX_AGE_DAYS) // 0 keeps entries until the filing changes
+};
+
+// 2: viewer text keeps its line and paragraph layout - older entries were scraped flat
+const ENTRY_VERSION = 2;
+
+// Shared by every job, unlike the job-scoped extracted text files
+function cacheStorage() {
+  return getStorage().namespace('cache/extractions');
+}
+
+function entryKey(documentUrl) {
+  return crypto.createHash('sha1').update(documentUrl).digest('hex') + '.json';
+}
+
+/**
+ * Why a cached entry can no longer be trusted, or null when it is fresh.
+ * The case page's filing list is the source of truth: a new filing date or a renamed
+ * document means the PUC replaced the file behind the same link.
+ */
+function staleReason(entry, filing) {
+  if (entry.version !== ENTRY_VERSION) return 'format changed';
+  if (filing?.date && entry.filingDate && filing.date !== entry.filingDate) {
+    return `filing date changed (${entry.filingDate} → ${filing.date})`;
+  }
+  if (filing?.documentName && entry.documentName && filing.documentName !== entry.documentName) {
+    return 'document renamed';
+  }
+  if (CACHE_CONFIG.maxAgeDays > 0) {
+    const ageDays = (Date.now() - new Date(entry.cachedAt).getTime()) / (24 * 60 * 60 * 1000);
+    if (ageDays > CACHE_CONFIG.maxAgeDays) return `older than ${CACHE_CONFIG.maxAgeDays} days`;
+  }
+  return null;
+}
+
+/**
+ * Look a document up in the cache
+ * @param {string} documentUrl - Document link from the case page (the cache key)
+ * @param {Object|null} filing - The document's current filing-list entry ({ documentName, date }), if known
+ * @returns {Promise<Object>} { status: 'hit' | 'miss' | 'stale', entry, reason }
+ */
+export async function getCachedExtraction(documentUrl, filing = null) {
+  if (!CACHE_CONFIG.enabled) return { status: 'miss', entry: null, reason: 'cache disabled' };
+
+  let entry;
+  try {
+    const stored = await cacheStorage().getText(entryKey(documentUrl));
+    if (!stored) return { status: 'miss', entry: null, reason: null };
+    entry = JSON.parse(stored);
+  } catch (error) {
+    // An unreadable entry is just a miss - the next extraction overwrites it
+    return { status: 'miss', entry: null, reason: error.message };
+  }
+
+  const reason = staleReason(entry, filing);
+  return reason ? { status: 'stale', entry: null, reason } : { status: 'hit', entry, reason: null };
+}
+
+/**
+ * Store a completed extraction
+ * @param {string} documentUrl
+ * @param {Object} extraction - { documentName, filingDate, fullText, pages, pagesExpected, sourceType, extractionStrategy, ocrPages }
+ */
+export async function storeExtraction(documentUrl, extraction) {
+  if (!CACHE_CONFIG.enabled) return false;
+
+  const entry = {
+    version: ENTRY_VERSION,
+    documentUrl,
+    cachedAt: new Date().toISOString(),
+    ...extraction
+  };
+
+  try {
+    await cacheStorage().putText(entryKey(documentUrl), JSON.stringify(entry));
+    return true;
+  } catch (error) {
+    console.log(`⚠️ Could not cache ${extraction.documentName}: ${error.message}`);
+    return false;
+  }
+}
@@ -0,0 +1,182 @@
+// backend/src/services/factExtractor.js
+// Numeric Fact Extractor - Dollar amounts and percentages as normalized numbers, classified by what they measure
+
+import crypto from 'crypto';
+import { flattenText } from './textLayout.js';
+
+/**
+ * Fact kinds. `unit` limits a kind to dollar amounts or percentages; `pattern` is looked for between the
+ * previous number and this one, then up to the next number, then anywhere in the sentence; the first
+ * stretch with a match decides, and within it the kind whose match sits closest to the number wins.
+ * ROE kinds are settled afterwards by ROE_QUALIFIERS.
+ */
+const FACT_KINDS = [
+  { key: 'cost_of_debt', label: 'Cost of Debt', unit: 'percent', pattern: /\b(?:embedded\s+)?cost\s+of\s+(?:long[-\s]term\s+)?debt\b|\bdebt\s+cost\b/gi },
+  { key: 'capital_structure_ratio', label: 'Capital Structure Ratio', unit: 'percent', pattern: /\b(?:common\s+)?equity\s+(?:ratio|component|layer|percentage)\b|\bcapital\s+structure\b|\bdebt\s+(?:ratio|component)\b/gi },
+  { key: 'roe', label: 'Return on Equity', unit: 'percent', pattern: /\breturn\s+on\s+(?:common\s+)?equity\b|\bROE\b|\bcost\s+of\s+(?:common\s+)?equity\b/gi },
+  { key: 'rate_increase_percent', label: 'Percent Rate Increase', unit: 'percent', pattern: /\b(?:rate|revenue|price|bill)s?\s+(?:increase|change)\b|\bincrease\b/gi },
+  { key: 'revenue_requirement', label: 'Revenue Requirement', unit: 'USD', pattern: /\brevenue\s+requirements?\b/gi },
+  { key: 'rate_base', label: 'Rate Base', unit: 'USD', pattern: /\brate\s+base\b/gi }
+];
+
+// Who set the ROE: the Commission authorized it, the utility asked for it, another party recommended it
+const ROE_QUALIFIERS = [
+  { key: 'authorized_roe', label: 'Authorized ROE', pattern: /\bauthori[sz]ed\b|\bapproved\b|\ballowed\b|\bCommission\s+(?:set|granted|adopted)\b|\bcurrently\s+(?:authori[sz]ed|allowed)\b/gi },
+  { key: 'recommended_roe', label: 'Recommended ROE', pattern: /\brecommend(?:s|ed|ing|ation)?\b/gi },
+  { key: 'requested_roe', label: 'Requested ROE', pattern: /\brequest(?:s|ed|ing)?\b|\bpropos(?:es|ed|ing|al)\b|\bseek(?:s|ing)?\b/gi }
+];
+
+const UNCLASSIFIED = { key: 'other', label: 'Other Amount' };
+
+// Every kind a fact can have, in the order /api/fact-kinds lists them
+const KIND_LABELS = Object.fromEntries([
+  ...ROE_QUALIFIERS.map(kind => [kind.key, kind.label]),
+  ['roe', 'Return on Equity (unqualified)'],
+  ...FACT_KINDS.filter(kind => kind.key !== 'roe').map(kind => [kind.key, kind.label]),
+  [UNCLASSIFIED.key, UNCLASSIFIED.label]
+]);
+
+const SCALES = { thousand: 1e3, k: 1e3, million: 1e6, m: 1e6, mm: 1e6, billion: 1e9, b: 1e9, bn: 1e9 };
+const SCALE_NAMES = { 1e3: 'thousand', 1e6: 'million', 1e9: 'billion' };
+
+// $1.2 million, $45,300,000, $3.1B
+const DOLLAR_PATTERN = /\$\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(?:\s*(thousand|million|billion|mm|bn|[kmb])\b)?/gi;
+// 10.4%, 10.4 percent, 50 per cent
+const PERCENT_PATTERN = /(\d+(?:\.\d+)?)\s*(?:%|percent\b|per\s+cent\b)/gi;
+
+// Sentence boundaries: a stop followed by a space and a capital. Decimals ("10.4") never match.
+function splitSentences(text) {
+  return text.split(/(?<=[.!?]["')\]]?)\s+(?=[A-Z("“$])/).filter(sentence => sentence.trim());
+}
+
+function readNumbers(sentence) {
+  const numbers = [];
+
+  for (const match of sentence.matchAll(DOLLAR_PATTERN)) {
+    const scaleWord = match[3]?.toLowerCase() || null;
+    const scale = scaleWord ? SCALES[scaleWord] : 1;
+    const amount = parseFloat(match[1].replace(/,/g, '') + (match[2] || ''));
+    numbers.push({
+      raw: match[0].trim(),
+      index: match.index,
+      unit: 'USD',
+      amount,
+      scale: SCALE_NAMES[scale] || null,
+      value: amount * scale
+    });
+  }
+
+  for (const match of sentence.matchAll(PERCENT_PATTERN)) {
+    const value = parseFloat(match[1]);
+    numbers.push({ raw: match[0].trim(), index: match.index, unit: 'percent', amount: value, scale: null, value });
+  }
+
+  return numbers.sort((a, b) => a.index - b.index);
+}
+
+// Distance from the number to the nearest pattern match inside [start, end); matches after the number count for a little less
+function distanceTo(pattern, sentence, number, start = 0, end = sentence.length) {
+  let best = Infinity;
+  for (const match of sentence.matchAll(pattern)) {
+    if (match.index < start || match.index + match[0].length > end) continue;
+    const distance = match.index < number.index
+      ? number.index - (match.index + match[0].length)
+      : (match.index - (number.index + number.raw.length)) * 1.5;
+    best = Math.min(best, Math.max(distance, 0));
+  }
+  return best;
+}
+
+// "The revenue requirement rises by $1.2 million on a rate base of $5.4 billion": a number's own words usually come
+// just before it, and words past it more often introduce the next number
+function nearest(candidates, sentence, number, [segmentStart, segmentEnd]) {
+  const stretches = [
+    [segmentStart, number.index],
+    [number.index + number.raw.length, segmentEnd],
+    [0, sentence.length]
+  ];
+  for (const [start, end] of stretches) {
+    const best = candidates
+      .map(candidate => ({ candidate, distance: distanceTo(candidate.pattern, sentence, number, start, end) }))
+      .filter(({ distance }) => distance !== Infinity)
+      .sort((a, b) => a.distance - b.distance)[0];
+    if (best) return best.candidate;
+  }
+  return null;
+}
+
+/**
+ * What a number in a sentence measures
+ * @param {string} sentence
+ * @param {Object} number - { index, raw, unit } as read from the sentence
+ * @param {Array} [numbers] - Every number in the sentence, in order; defaults to just this one
+ * @returns {string} Fact kind key ('other' when nothing matches)
+ */
+export function classifyNumber(sentence, number, numbers = [number]) {
+  const position = numbers.indexOf(number);
+  const previous = numbers[position - 1];
+  const next = numbers[position + 1];
+  const segment = [previous ? previous.index + previous.raw.length : 0, next ? next.index : sentence.length];
+
+  const kind = nearest(FACT_KINDS.filter(candidate => candidate.unit === number.unit), sentence, number, segment);
+  if (!kind) return UNCLASSIFIED.key;
+  if (kind.key !== 'roe') return kind.key;
+  return nearest(ROE_QUALIFIERS, sentence, number, segment)?.key || 'roe';
+}
+
+/**
+ * Extract the numeric facts from chunks
+ * @param {Array} chunks - Processed chunks (DocumentProcessor output)
+ * @returns {Array} Facts: { id, kind, label, value, unit, amount, scale, raw, sentence, chunkId,
+ *   caseNumber, company, utilityType, documentName, documentType, documentUrl, pageNumber, pageLabel, witness }
+ */
+export function extractFacts(chunks) {
+  const facts = [];
+  const seen = new Set(); // Overlapping chunk windows repeat sentences - one fact per number per sentence per document
+
+  for (const chunk of chunks) {
+    const sentences = splitSentences(flattenText(chunk.content));
+
+    for (const sentence of sentences) {
+      const numbers = readNumbers(sentence);
+      for (const number of numbers) {
+        const key = `${chunk.documentUrl}_${sentence}_${number.index}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const kind = classifyNumber(sentence, number, numbers);
+        facts.push({
+          id: crypto.createHash('md5').update(key).digest('hex').substring(0, 12),
+          kind,
+          label: KIND_LABELS[kind],
+          value: number.value,
+          unit: number.unit,
+          amount: number.amount, // As written, before scale: 1.2 for "$1.2 million"
+          scale: number.scale,
+          raw: number.raw,
+          sentence,
+          chunkId: chunk.id,
+          caseNumber: chunk.caseNumber,
+          company: chunk.company,
+          utilityType: chunk.utilityType,
+          documentName: chunk.documentName,
+          documentType: chunk.documentType,
+          documentUrl: chunk.documentUrl,
+          pageNumber: chunk.pageNumber,
+          pageLabel: chunk.pageLabel || null,
+          witness: chunk.structured?.metadata?.witness || null
+        });
+      }
+    }
+  }
+
+  return facts;
+}
+
+export function getFactKinds() {
+  return Object.entries(KIND_LABELS).map(([key, label]) => ({ key, label }));
+}
+
+export function isFactKind(kind) {
+  return Object.hasOwn(KIND_LABELS, kind);
+}
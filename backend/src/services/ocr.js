@@ -0,0 +1,111 @@
+// backend/src/services/ocr.js
+// Offline OCR Fallback - CPU-only Tesseract (WASM) for scanned pages with an empty text layer
+
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { createWorker } from 'tesseract.js';
+
+const require = createRequire(import.meta.url);
+
+// English traineddata ships with @tesseract.js-data/eng - the same best_int model tesseract.js would fetch from its CDN
+function bundledLangPath(lang) {
+  if (lang !== 'eng') return null;
+  return path.join(path.dirname(require.resolve('@tesseract.js-data/eng')), '4.0.0_best_int');
+}
+
+const OCR_CONFIG = {
+  enabled: process.env.OCR_ENABLED !== 'false',
+  lang: process.env.OCR_LANG || 'eng',
+  // Directory holding <lang>.traineddata.gz. Other languages need OCR_LANG_PATH, or tesseract.js downloads them from its CDN
+  langPath: process.env.OCR_LANG_PATH || bundledLangPath(process.env.OCR_LANG || 'eng'),
+  cachePath: process.env.OCR_CACHE_PATH || path.join(os.tmpdir(), 'puc-ocr-cache'),
+  maxPagesPerDocument: parseInt(process.env.OCR_MAX_PAGES_PER_DOCUMENT) || 200, // OCR is ~1-3s of CPU per page
+  minTextLength: 10 // Same threshold the text-layer scrapers use for an empty page
+};
+
+// One lazily started worker for the whole process - Tesseract jobs queue on it instead of competing for CPU
+let workerPromise = null;
+// Workers terminated after a failure; jobs that were queued on one retry on its replacement
+const retiredWorkers = new WeakSet();
+
+function getWorker() {
+  if (!workerPromise) {
+    const options = {
+      cachePath: OCR_CONFIG.cachePath,
+      // Without a handler tesseract.js rethrows job errors from its message listener and takes the process down
+      errorHandler: (error) => console.log(`⚠️ OCR worker error: ${error}`)
+    };
+    if (OCR_CONFIG.langPath) {
+      options.langPath = OCR_CONFIG.langPath;
+    }
+
+    console.log(`🔠 Starting OCR worker (${OCR_CONFIG.lang})...`);
+    workerPromise = createWorker(OCR_CONFIG.lang, 1, options).catch(error => {
+      workerPromise = null; // Let the next page try again
+      throw error;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Whether another page of a document may be OCR'd
+ * @param {number} pagesAlreadyOcrd - Pages of this document OCR'd so far
+ */
+export function canOcrPage(pagesAlreadyOcrd = 0) {
+  return OCR_CONFIG.enabled && pagesAlreadyOcrd < OCR_CONFIG.maxPagesPerDocument;
+}
+
+/**
+ * OCR a single page image
+ * @param {Buffer} image - PNG/JPEG bytes of the page
+ * @returns {Promise<Object|null>} { text, confidence } with confidence 0-100, or null when no usable text was found
+ */
+export async function recognizePageImage(image) {
+  if (!OCR_CONFIG.enabled) return null;
+
+  let data;
+  for (let attempt = 1; !data; attempt++) {
+    const current = getWorker();
+    try {
+      const worker = await current;
+      ({ data } = await worker.recognize(image));
+    } catch (error) {
+      // Another page broke the worker and it was terminated with this job still queued - try its replacement once
+      if (retiredWorkers.has(current) && attempt === 1) continue;
+      await retireWorker(current);
+      throw new Error(`OCR failed: ${error.message || error}`);
+    }
+  }
+  const text = (data.text || '').trim();
+
+  if (text.length <= OCR_CONFIG.minTextLength) {
+    return null;
+  }
+  return { text, confidence: Math.round(data.confidence) };
+}
+
+// A WASM abort (e.g. a corrupt image) leaves the worker unusable - terminate it so the next page starts a fresh one.
+// Only the worker that failed is replaced; one another caller already started stays.
+async function retireWorker(failed) {
+  if (retiredWorkers.has(failed)) return;
+  retiredWorkers.add(failed);
+  if (workerPromise === failed) {
+    workerPromise = null;
+  }
+  const worker = await failed.catch(() => null);
+  if (worker) {
+    await worker.terminate().catch(() => {});
+  }
+}
+
+export async function shutdownOcr() {
+  if (!workerPromise) return;
+
+  const worker = await workerPromise.catch(() => null);
+  workerPromise = null;
+  if (worker) {
+    await worker.terminate();
+  }
+}
@@ -0,0 +1,130 @@
+// backend/src/services/pdfExtractor.js
+// Direct PDF Extraction - Download LaserFiche/WebLink PDFs and parse them page by page with pdf-parse
+
+import axios from 'axios';
+// pdf-parse's index.js runs a debug self-test when it has no parent module (ESM import); the lib entry skips it
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+
+const PDF_CONFIG = {
+  enabled: process.env.PDF_DOWNLOAD_ENABLED !== 'false',
+  timeout: parseInt(process.env.PDF_DOWNLOAD_TIMEOUT_MS) || 120000,
+  maxBytes: parseInt(process.env.PDF_DOWNLOAD_MAX_BYTES) || 200 * 1024 * 1024,
+  minPageTextLength: 10 // Same threshold the viewer scrapers use for an empty page
+};
+
+/**
+ * Build the ElectronicFile download URL for a LaserFiche WebLink document link.
+ * Handles DocView.aspx?id=…, ElectronicFile.aspx?docid=… and /doc/{id}/ style links.
+ * Returns null when the link carries no document ID.
+ */
+export function buildPdfDownloadUrl(documentUrl) {
+  let url;
+  try {
+    url = new URL(documentUrl);
+  } catch (error) {
+    return null;
+  }
+
+  const pathMatch = url.pathname.match(/\/doc\/(\d+)\//i);
+  const docId = url.searchParams.get('docid') || url.searchParams.get('id') || pathMatch?.[1];
+  if (!docId) return null;
+
+  const webLinkRoot = url.pathname.match(/^\/weblink/i)?.[0] || '/WebLink';
+  const params = new URLSearchParams({ docid: docId, dbid: url.searchParams.get('dbid') || '0' });
+  if (url.searchParams.get('repo')) {
+    params.set('repo', url.searchParams.get('repo'));
+  }
+  return `${url.origin}${webLinkRoot}/ElectronicFile.aspx?${params.toString()}`;
+}
+
+// ✅ DOWNLOAD: Fetch the raw PDF bytes; WebLink serves an HTML error page instead of a 404, so check the magic bytes
+async function downloadPdf(downloadUrl, { cookies = [], signal = null } = {}) {
+  const headers = { Accept: 'application/pdf' };
+  if (cookies.length > 0) {
+    headers.Cookie = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  const response = await axios.get(downloadUrl, {
+    responseType: 'arraybuffer',
+    timeout: PDF_CONFIG.timeout,
+    maxContentLength: PDF_CONFIG.maxBytes,
+    headers,
+    signal
+  });
+
+  const buffer = Buffer.from(response.data);
+  if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    throw new Error(`Download is not a PDF (content-type: ${response.headers['content-type'] || 'unknown'})`);
+  }
+  return buffer;
+}
+
+// Lines top to bottom → page text. A drop well past the page's usual line pitch is a paragraph break
+// and gets a blank line; measuring against the pitch keeps double-spaced testimony from splitting every line.
+function joinLines(lines) {
+  const pitches = lines.slice(1)
+    .map((line, i) => lines[i].y - line.y)
+    .filter(pitch => pitch > 0)
+    .sort((a, b) => a - b);
+  const usualPitch = pitches[Math.floor((pitches.length - 1) / 2)] || 0;
+
+  return lines.map((line, i) => {
+    const pitch = i > 0 ? lines[i - 1].y - line.y : 0;
+    const paragraphBreak = lines.length >= 3 && usualPitch > 0 && pitch > usualPitch * 1.6;
+    return (paragraphBreak ? '\n' : '') + line.text;
+  }).join('\n');
+}
+
+// ✅ PARSE: Render each page's text layer separately so page numbers survive
+async function parsePdfPages(buffer, signal = null) {
+  const pages = new Map();
+
+  const parsed = await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      // A cancelled job skips the rest of the pages; pdf-parse swallows this error, so extractPdfPages rethrows it
+      signal?.throwIfAborted();
+      const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+
+      // Same line-joining as pdf-parse's default renderer: a Y change starts a new line
+      const lines = [];
+      for (const item of textContent.items) {
+        const y = item.transform[5];
+        if (lines.length > 0 && lines[lines.length - 1].y === y) {
+          lines[lines.length - 1].text += item.str;
+        } else {
+          lines.push({ y, text: item.str });
+        }
+      }
+      const text = joinLines(lines);
+
+      if (text.trim().length > PDF_CONFIG.minPageTextLength) {
+        pages.set(pageData.pageIndex + 1, text.trim());
+      }
+      return text;
+    }
+  });
+
+  return { pages, numPages: parsed.numpages };
+}
+
+/**
+ * Download a document's PDF and extract its text page by page.
+ * Returns null when direct download is disabled or the link has no document ID;
+ * throws when the download or parse fails so the caller can fall back to viewer scraping.
+ * @param {string} documentUrl - Document link from the case page
+ * @param {Object} [options]
+ * @param {Array} [options.cookies] - Browser cookies for the LaserFiche host
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object|null>} { downloadUrl, pages: Map<pageNumber, text>, numPages }
+ */
+export async function extractPdfPages(documentUrl, options = {}) {
+  if (!PDF_CONFIG.enabled) return null;
+
+  const downloadUrl = buildPdfDownloadUrl(documentUrl);
+  if (!downloadUrl) return null;
+
+  const buffer = await downloadPdf(downloadUrl, options);
+  const { pages, numPages } = await parsePdfPages(buffer, options.signal);
+  options.signal?.throwIfAborted();
+  return { downloadUrl, pages, numPages };
+}
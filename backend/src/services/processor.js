@@ -1,17 +1,41 @@
 // backend/src/services/processor.js
 // Streamlined Document Processor - Optimized for Document Grouping
 
-import fs from 'fs/promises';
-import path from 'path';
 import crypto from 'crypto';
+import { getStorage } from './storage.js';
+import { normalizeLayout, flattenText } from './textLayout.js';
+import { segmentTestimony, formatPageSpan, formatPageLabelSpan } from './testimonySegmenter.js';
+import { isTestimonyClass } from './documentClassifier.js';
+import { extractCrossReferences } from './crossReferences.js';
+
+// Pleading paper numbers lines 1-25 down the margin; a few filers run a little further.
+// pdf text can lose the gap between the number and the line, so "12Q." counts too (but "12.5" and "1,200" don't).
+const MARGIN_NUMBER_PATTERN = /^(\d{1,2})(?:\s+|(?=[^\d.,])|$)(.*)$/;
+const MAX_MARGIN_NUMBER = 28;
+// Testimony running headers end in a page label: "AVISTA – KALICH, Di 12", "Blattner, Reb 4"
+const PAGE_LABEL_PATTERN = /,\s*(Di|Reb|Sur|Surreb)\s+(\d+)\s*$/i;
+const BOILERPLATE_EDGE_LINES = 4; // Lines from the top and the bottom of each page where headers and footers live
+const BOILERPLATE_MIN_PAGES = 3;
+const BOILERPLATE_MIN_SHARE = 0.3; // ...of the document's pages
+// Testimony questions and answers are content wherever they sit on the page
+const QA_LINE_PATTERN = /^[QA]\.(?:\s|$)/;
+
+// Page-independent form of a line: case-folded, whitespace-collapsed, digits masked (page and line numbers vary)
+function boilerplateKey(text) {
+  return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
 
 class DocumentProcessor {
-  constructor() {
+  constructor(storage = getStorage()) {
+    this.storage = storage; // Where the crawler wrote the extracted text files
+
     this.chunkSize = 1500;
     this.chunkOverlap = 200;
     this.minChunkSize = 300;
     this.maxDocumentSize = 5000000; // 5MB limit
     this.maxChunksPerDoc = 1000;
+    this.maxQaChunkSize = 4000; // A Q/A unit up to this size stays one chunk; longer answers are split into parts
+    this.minQaUnits = 3; // Fewer questions than this and the document isn't really Q/A - chunk it by windows
   }
 
   /**
@@ -28,39 +52,30 @@ class DocumentProcessor {
       totalChunks: 0,
       skippedDocuments: 0,
       processingErrors: 0,
-      truncatedDocuments: 0
+      truncatedDocuments: 0,
+      segmentedDocuments: 0
     };
 
     for (const document of crawlerResults.allExtractedDocuments) {
       try {
         console.log(`📝 Processing: ${document.documentName}`);
         
-        // Read document file
-        const documentText = await this.readDocumentFile(document.filepath);
+        const processed = await this.processDocument(document);
         
-        if (!documentText) {
-          console.log(`⚠️ Skipping ${document.documentName} - file could not be read or was empty`);
+        if (!processed) {
           processingStats.skippedDocuments++;
           processingStats.processingErrors++;
           continue;
         }
 
-        // Handle large documents
-        let processedText = documentText;
-        if (documentText.length > this.maxDocumentSize) {
-          console.log(`⚠️ Truncating large document ${document.documentName} (${Math.round(documentText.length/1024)}KB → ${Math.round(this.maxDocumentSize/1024)}KB)`);
-          processedText = documentText.substring(0, this.maxDocumentSize) + '\n[TRUNCATED - DOCUMENT TOO LARGE]';
-          processingStats.truncatedDocuments++;
-        }
-
-        // Create chunks
-        const chunks = this.createChunks(processedText, document);
-        processedChunks.push(...chunks);
+        processedChunks.push(...processed.chunks);
         
         processingStats.processedDocuments++;
-        processingStats.totalChunks += chunks.length;
+        processingStats.totalChunks += processed.chunks.length;
+        if (processed.truncated) processingStats.truncatedDocuments++;
+        if (processed.chunks.some(chunk => chunk.qaUnit)) processingStats.segmentedDocuments++;
         
-        console.log(`✅ Created ${chunks.length} chunks from ${document.documentName}`);
+        console.log(`✅ Created ${processed.chunks.length} chunks from ${document.documentName}`);
         
       } catch (error) {
         console.log(`❌ Error processing ${document.documentName}: ${error.message}`);
@@ -92,12 +107,42 @@ class DocumentProcessor {
   }
 
   /**
-   * ✅ READ DOCUMENT: Extract content from file
+   * ✅ SINGLE DOCUMENT: Chunk one extracted document as soon as its text lands
+   * Returns { chunks, truncated }, or null when the file could not be read
    */
-  async readDocumentFile(filepath) {
+  async processDocument(document) {
+    const documentText = await this.readDocumentFile(document.storageKey);
+    
+    if (!documentText) {
+      console.log(`⚠️ Skipping ${document.documentName} - file could not be read or was empty`);
+      return null;
+    }
+
+    // Handle large documents
+    let processedText = documentText;
+    const truncated = documentText.length > this.maxDocumentSize;
+    if (truncated) {
+      console.log(`⚠️ Truncating large document ${document.documentName} (${Math.round(documentText.length/1024)}KB → ${Math.round(this.maxDocumentSize/1024)}KB)`);
+      processedText = documentText.substring(0, this.maxDocumentSize) + '\n[TRUNCATED - DOCUMENT TOO LARGE]';
+    }
+
+    return { chunks: this.createChunks(processedText, document), truncated };
+  }
+
+  /**
+   * ✅ READ DOCUMENT: Extract content from the stored text file
+   */
+  async readDocumentFile(storageKey) {
+    if (!storageKey) {
+      console.log('❌ Document was never stored');
+      return null;
+    }
     try {
-      await fs.access(filepath);
-      const content = await fs.readFile(filepath, 'utf8');
+      const content = await this.storage.getText(storageKey);
+      if (content === null) {
+        console.log(`❌ File not found: ${this.storage.describe(storageKey)}`);
+        return null;
+      }
       
       // Extract content after metadata
       const metadataEnd = content.indexOf('===== END METADATA =====');
@@ -107,11 +152,7 @@ class DocumentProcessor {
       
       return content.trim();
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        console.log(`❌ File not found: ${filepath}`);
-      } else {
-        console.log(`❌ Error reading file ${filepath}: ${error.message}`);
-      }
+      console.log(`❌ Error reading file ${this.storage.describe(storageKey)}: ${error.message}`);
       return null;
     }
   }
@@ -121,34 +162,205 @@ class DocumentProcessor {
    */
   createChunks(text, documentMetadata) {
     const cleanedText = this.cleanText(text);
-    const pages = this.extractPages(cleanedText);
+    const extractedPages = this.extractPages(cleanedText);
+    const { pages, runningHeader } = this.removePageBoilerplate(
+      extractedPages.length > 0 ? extractedPages : [{ pageNumber: null, content: cleanedText, ocrConfidence: null }]
+    );
+    const bodyText = pages.map(page => page.content).join('\n\n');
+    
+    // Witness once per document; the running header names it even when the document name doesn't
+    documentMetadata = {
+      ...documentMetadata,
+      witness: this.extractWitnessFromDocument(cleanedText, documentMetadata.documentName || '', runningHeader)
+    };
+    
+    // Testimony is chunked along its question–answer units
+    if (isTestimonyClass(documentMetadata.documentType)) {
+      const units = segmentTestimony(pages);
+      if (units.filter(unit => unit.question).length >= this.minQaUnits) {
+        return this.createChunksFromUnits(units, pages, documentMetadata, bodyText);
+      }
+    }
     
-    if (pages.length <= 1) {
+    if (extractedPages.length <= 1) {
       // No page breaks - process as single document
-      return this.createChunksFromText(cleanedText, documentMetadata, null, cleanedText);
+      return this.createChunksFromText(bodyText, documentMetadata, null, bodyText);
     } else {
       // Process each page separately
       const allChunks = [];
       for (const page of pages) {
-        const pageChunks = this.createChunksFromText(page.content, documentMetadata, page.pageNumber, cleanedText);
+        const pageChunks = this.createChunksFromText(page.content, documentMetadata, page.pageNumber, bodyText);
+        pageChunks.forEach(chunk => {
+          chunk.pageLabel = page.pageLabel;
+          // OCR'd pages are lower fidelity - flag them so citations can say so
+          if (page.ocrConfidence !== null) {
+            chunk.ocr = true;
+            chunk.ocrConfidence = page.ocrConfidence;
+          }
+        });
         allChunks.push(...pageChunks);
       }
       return allChunks;
     }
   }
 
+  /**
+   * ✅ PAGE BOILERPLATE: Strip margin line numbers and the running headers/footers repeated across pages
+   * Header/footer lines are learned per document: a line near the top or bottom of the page that recurs
+   * (digits ignored) there on enough pages is boilerplate. Only runs of such lines starting at the page's
+   * first or last line are removed, so a stock answer repeated mid-page stays. Lines carrying a margin
+   * line number and Q./A. lines are testimony, never boilerplate - real headers and footers sit outside
+   * the numbering. A testimony page label such as "Di 12" is kept as page metadata before its header line goes.
+   * Returns { pages, runningHeader } where each page gains `lines` ([{ text, lineNumber }]) and `pageLabel`,
+   * and runningHeader is the first labelled header line as printed (e.g. "AVISTA – KALICH, Di 12").
+   */
+  removePageBoilerplate(pages) {
+    const pageLines = pages.map(page => this.readMarginNumbers(page.content));
+    
+    // Count each edge line once per page it appears on
+    const isCandidate = (line) => line.lineNumber === null && !QA_LINE_PATTERN.test(line.text);
+    const pageEdges = pageLines.map(lines => {
+      const filled = lines.filter(line => line.text);
+      return {
+        top: filled.slice(0, BOILERPLATE_EDGE_LINES),
+        bottom: filled.slice(-BOILERPLATE_EDGE_LINES).reverse() // Outermost first
+      };
+    });
+    const repeats = new Map();
+    pageEdges.forEach(({ top, bottom }) => {
+      new Set([...top, ...bottom].filter(isCandidate).map(line => boilerplateKey(line.text))).forEach(key => {
+        repeats.set(key, (repeats.get(key) || 0) + 1);
+      });
+    });
+    const minRepeats = Math.max(BOILERPLATE_MIN_PAGES, Math.ceil(pages.length * BOILERPLATE_MIN_SHARE));
+    const isBoilerplate = (text) => (repeats.get(boilerplateKey(text)) || 0) >= minRepeats && boilerplateKey(text).length >= 2;
+    
+    let runningHeader = null;
+    const cleanedPages = pages.map((page, i) => {
+      let pageLabel = null;
+      const removed = new Set();
+      
+      // Walk in from each edge and stop at the first line that isn't boilerplate
+      for (const edge of [pageEdges[i].top, pageEdges[i].bottom]) {
+        for (const line of edge) {
+          const label = isCandidate(line) && line.text.match(PAGE_LABEL_PATTERN);
+          // Labelled header lines go even when the document is too short to learn from
+          if (!isCandidate(line) || (!isBoilerplate(line.text) && !label)) break;
+          if (label && !pageLabel) {
+            pageLabel = `${label[1]} ${label[2]}`;
+            runningHeader = runningHeader || line.text;
+          }
+          removed.add(line);
+        }
+      }
+      const kept = pageLines[i].filter(line => !removed.has(line));
+      
+      // Pages without margin numbers count their lines from the top, blank lines excluded
+      const numbered = kept.some(line => line.lineNumber !== null);
+      let counted = 0;
+      const lines = kept.map(line => ({
+        text: line.text,
+        lineNumber: numbered || !line.text ? line.lineNumber : ++counted
+      }));
+      
+      return {
+        ...page,
+        content: lines.map(line => line.text).join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+        lines,
+        pageLabel
+      };
+    });
+    
+    return { pages: cleanedPages, runningHeader };
+  }
+
+  /**
+   * ✅ MARGIN NUMBERS: Split pleading-paper line numbers off a page's lines
+   * A page counts as numbered when most of its lines start with a 1-28 number and those numbers mostly climb;
+   * otherwise every line keeps its text and gets lineNumber null.
+   */
+  readMarginNumbers(content) {
+    const lines = content.split('\n').map(line => line.trim());
+    const matches = lines.map(line => {
+      const match = line.match(MARGIN_NUMBER_PATTERN);
+      return match && parseInt(match[1]) >= 1 && parseInt(match[1]) <= MAX_MARGIN_NUMBER ? match : null;
+    });
+    const numbers = matches.filter(Boolean).map(match => parseInt(match[1]));
+    const climbing = numbers.filter((number, i) => i === 0 || number > numbers[i - 1]).length;
+    const filled = lines.filter(Boolean).length;
+    const hasMarginNumbers = numbers.length >= 5 && numbers.length >= filled / 2 && climbing >= numbers.length * 0.8;
+    
+    return lines.map((line, i) => hasMarginNumbers && matches[i]
+      ? { text: matches[i][2].trim(), lineNumber: parseInt(matches[i][1]) }
+      : { text: line, lineNumber: null }
+    );
+  }
+
+  /**
+   * ✅ CREATE CHUNKS FROM UNITS: One chunk per testimony Q/A unit, headed by its question
+   */
+  createChunksFromUnits(units, pages, documentMetadata, fullDocumentText) {
+    const chunks = [];
+    const pagesByNumber = new Map(pages.map(page => [page.pageNumber, page]));
+    let chunkIndex = 1;
+
+    for (const unit of units) {
+      if (chunkIndex > this.maxChunksPerDoc) break;
+      if (!unit.question && unit.text.length < this.minChunkSize) continue; // Stray cover-page lines
+
+      const parts = unit.text.length <= this.maxQaChunkSize ? [unit.text] : this.splitTextWindows(unit.text);
+      const pageSpan = formatPageSpan(unit.startPage, unit.endPage);
+
+      // Lowest OCR confidence of any page the unit spans
+      const ocrConfidences = [];
+      for (let pageNumber = unit.startPage; pageNumber !== null && pageNumber <= unit.endPage; pageNumber++) {
+        const confidence = pagesByNumber.get(pageNumber)?.ocrConfidence;
+        if (confidence !== null && confidence !== undefined) ocrConfidences.push(confidence);
+      }
+      const pageLabel = formatPageLabelSpan(pagesByNumber.get(unit.startPage)?.pageLabel, pagesByNumber.get(unit.endPage)?.pageLabel);
+
+      parts.forEach((part, partIndex) => {
+        const chunk = this.createChunk(part, documentMetadata, unit.startPage, chunkIndex++, null, fullDocumentText);
+        chunk.heading = unit.question
+          ? `Q/A${pageSpan ? ` on ${pageSpan}` : ''}${pageLabel ? ` (${pageLabel})` : ''}: ${unit.question}`
+          : null;
+        chunk.qaUnit = {
+          index: unit.index,
+          question: unit.question,
+          part: partIndex + 1,
+          parts: parts.length,
+          startPage: unit.startPage,
+          endPage: unit.endPage,
+          startLine: unit.startLine,
+          endLine: unit.endLine,
+          pageLabel,
+          witness: documentMetadata.witness
+        };
+        chunk.pageLabel = pagesByNumber.get(unit.startPage)?.pageLabel || null;
+        if (ocrConfidences.length > 0) {
+          chunk.ocr = true;
+          chunk.ocrConfidence = Math.min(...ocrConfidences);
+        }
+        chunks.push(chunk);
+      });
+    }
+
+    chunks.forEach(chunk => { chunk.totalChunks = chunks.length; });
+    return chunks;
+  }
+
   /**
    * ✅ EXTRACT PAGES: Find page-separated content
    */
   extractPages(text) {
     const pages = [];
-    const pageMarkers = text.split(/--- PAGE \d+ ---/);
+    const pageMarkers = text.split(/--- PAGE \d+(?: \[OCR \d+\])? ---/);
     
     if (pageMarkers.length <= 1) {
       return []; // No page markers found
     }
 
-    const pageNumbers = [...text.matchAll(/--- PAGE (\d+) ---/g)];
+    const pageNumbers = [...text.matchAll(/--- PAGE (\d+)(?: \[OCR (\d+)\])? ---/g)];
     
     for (let i = 1; i < pageMarkers.length; i++) {
       const content = pageMarkers[i].trim();
@@ -157,7 +369,8 @@ class DocumentProcessor {
       if (content.length > this.minChunkSize) {
         pages.push({
           pageNumber: pageNumber,
-          content: content
+          content: content,
+          ocrConfidence: pageNumbers[i-1]?.[2] !== undefined ? parseInt(pageNumbers[i-1][2]) : null
         });
       }
     }
@@ -169,34 +382,36 @@ class DocumentProcessor {
    * ✅ CREATE CHUNKS FROM TEXT: Split text into overlapping chunks
    */
   createChunksFromText(text, documentMetadata, pageNumber, fullDocumentText = null) {
-    const chunks = [];
-    
     if (text.length <= this.chunkSize) {
-      chunks.push(this.createChunk(text, documentMetadata, pageNumber, 1, 1, fullDocumentText));
-      return chunks;
+      return [this.createChunk(text, documentMetadata, pageNumber, 1, 1, fullDocumentText)];
     }
 
+    return this.splitTextWindows(text).map((windowText, index) =>
+      this.createChunk(windowText, documentMetadata, pageNumber, index + 1, this.maxChunksPerDoc, fullDocumentText)
+    );
+  }
+
+  /**
+   * ✅ SPLIT TEXT WINDOWS: Overlapping chunk-sized windows, each ending at a natural break where possible
+   */
+  splitTextWindows(text) {
+    const windows = [];
     let start = 0;
-    let chunkIndex = 1;
     
-    while (start < text.length && chunkIndex <= this.maxChunksPerDoc) {
+    while (start < text.length && windows.length < this.maxChunksPerDoc) {
       const end = Math.min(start + this.chunkSize, text.length);
       let chunkText = text.substring(start, end);
       
-      // Try to break at sentence boundaries
+      // Break at a paragraph if one is near the end, else at a sentence, else at a line
       if (end < text.length) {
-        const lastSentence = chunkText.lastIndexOf('. ');
-        const lastParagraph = chunkText.lastIndexOf('\n\n');
-        const breakPoint = Math.max(lastSentence, lastParagraph);
-        
-        if (breakPoint > start + this.chunkSize * 0.7) {
-          chunkText = chunkText.substring(0, breakPoint + 1);
+        const breakPoint = this.findChunkBreak(chunkText);
+        if (breakPoint > 0) {
+          chunkText = chunkText.substring(0, breakPoint);
         }
       }
       
       if (chunkText.trim().length >= this.minChunkSize) {
-        chunks.push(this.createChunk(chunkText.trim(), documentMetadata, pageNumber, chunkIndex, this.maxChunksPerDoc, fullDocumentText));
-        chunkIndex++;
+        windows.push(chunkText.trim());
       }
       
       // Safe advancement
@@ -209,7 +424,29 @@ class DocumentProcessor {
       }
     }
     
-    return chunks;
+    return windows;
+  }
+
+  /**
+   * ✅ FIND CHUNK BREAK: End position for a chunk window, or 0 to cut it where it is
+   */
+  findChunkBreak(chunkText) {
+    const lastParagraph = chunkText.lastIndexOf('\n\n');
+    if (lastParagraph > this.chunkSize * 0.5) {
+      return lastParagraph;
+    }
+
+    const sentenceEnds = [...chunkText.matchAll(/[.!?]["')\]]?(?=\s)/g)];
+    const lastSentence = sentenceEnds.length > 0 ? sentenceEnds[sentenceEnds.length - 1] : null;
+    if (lastSentence && lastSentence.index > this.chunkSize * 0.7) {
+      return lastSentence.index + lastSentence[0].length;
+    }
+
+    const lastLine = chunkText.lastIndexOf('\n');
+    if (lastLine > this.chunkSize * 0.7) {
+      return lastLine;
+    }
+    return 0;
   }
 
   /**
@@ -232,15 +469,33 @@ class DocumentProcessor {
       company: documentMetadata.company,
       utilityType: documentMetadata.utilityType,
       caseStatus: documentMetadata.caseStatus,
+      caseType: documentMetadata.caseType || null,
+      dateFiled: documentMetadata.dateFiled || null,
+      dateClosed: documentMetadata.dateClosed || null,
       documentName: documentMetadata.documentName,
       documentType: documentMetadata.documentType,
       documentUrl: documentMetadata.documentUrl,
+      filingSection: documentMetadata.filingSection || null,
+      filingDate: documentMetadata.filingDate || null,
       
       // Pagination
       pageNumber: pageNumber,
+      pageLabel: null, // Printed testimony page, e.g. "Di 12"
       chunkIndex: chunkIndex,
       totalChunks: totalChunks,
       
+      // Provenance
+      extractionStrategy: documentMetadata.extractionStrategy || null,
+      ocr: false,
+      ocrConfidence: null,
+      
+      // Testimony Q/A unit - set when the document was segmented (createChunksFromUnits)
+      heading: null,
+      qaUnit: null,
+      
+      // Other cases and Commission orders this chunk cites (citation graph)
+      references: extractCrossReferences(content, documentMetadata.caseNumber),
+      
       // Timestamps
       extractedAt: documentMetadata.extractedAt,
       processedAt: new Date().toISOString()
@@ -248,7 +503,7 @@ class DocumentProcessor {
     
     // Add streamlined JSON overlay for search enhancement
     if (fullDocumentText) {
-      return this.addStreamlinedJSONOverlay(chunk, fullDocumentText);
+      return this.addStreamlinedJSONOverlay(chunk, fullDocumentText, documentMetadata.witness);
     }
     
     return chunk;
@@ -257,31 +512,34 @@ class DocumentProcessor {
   /**
    * ✅ STREAMLINED JSON OVERLAY: Keep only what's needed for search
    */
-  addStreamlinedJSONOverlay(chunk, fullDocumentText) {
+  addStreamlinedJSONOverlay(chunk, fullDocumentText, witness = undefined) {
     try {
-      // Extract witness info once from full document
-      const documentWitness = this.extractWitnessFromDocument(fullDocumentText, chunk.documentName);
+      // createChunks works the witness out once per document; look it up here only for callers that didn't
+      const documentWitness = witness !== undefined ? witness : this.extractWitnessFromDocument(fullDocumentText, chunk.documentName);
+      
+      // Phrase and sentence matching runs on one line, so a wrapped line can't split "rate of return"
+      const flatContent = flattenText(chunk.content);
       
       chunk.structured = {
         // Essential metadata for document grouping
         metadata: {
           witness: documentWitness,
-          topic: this.categorizeContent(chunk.content),
+          topic: this.categorizeContent(flatContent),
           documentContext: {
-            isDirectTestimony: chunk.documentType?.includes('Direct') || chunk.documentName?.includes('DIRECT'),
+            isDirectTestimony: chunk.documentType === 'direct_testimony' || chunk.documentName?.includes('DIRECT'),
             isAppendix: this.isAppendixContent(chunk),
-            isFinancialData: this.containsFinancialData(chunk.content)
+            isFinancialData: this.containsFinancialData(flatContent)
           }
         },
         
         // Financial data for search targeting
-        financial: this.extractFinancialData(chunk.content),
+        financial: this.extractFinancialData(flatContent),
         
         // Enhanced search terms for better matching
-        searchTerms: this.generateSearchTerms(chunk.content, chunk),
+        searchTerms: this.generateSearchTerms(flatContent, chunk),
         
         // Key quotes for citation quality
-        quotes: this.extractKeyQuotes(chunk.content, chunk.pageNumber)
+        quotes: this.extractKeyQuotes(flatContent, chunk.pageNumber)
       };
       
       return chunk;
@@ -301,12 +559,12 @@ class DocumentProcessor {
   /**
    * ✅ EXTRACT WITNESS: Get witness name from document
    */
-  extractWitnessFromDocument(fullDocumentText, documentName) {
-    // Try document name first (most reliable)
+  extractWitnessFromDocument(fullDocumentText, documentName, runningHeader = null) {
+    // Try document name first (most reliable) - direct, rebuttal and surrebuttal testimony are all named alike
     const namePatterns = [
-      /DIRECT\s+TESTIMONY\s+OF\s+([A-Z][A-Z\s\.]+?)(?:\s+EXHIBITS)?(?:\.PDF)?$/i,
-      /DIRECT\s+([A-Z]\.\s*[A-Z][A-Z\s]+?)(?:\s+EXHIBITS)?(?:\.PDF)?$/i,
-      /DIRECT\s+([A-Z][A-Z\s]+?)(?:\s+-\s+REDACTED)?(?:\s+EXHIBITS)?(?:\.PDF)?$/i
+      /(?:DIRECT|REBUTTAL)\s+TESTIMONY\s+OF\s+([A-Z][A-Z\s\.]+?)(?:\s+EXHIBITS)?(?:\.PDF)?$/i,
+      /(?:DIRECT|REBUTTAL)\s+([A-Z]\.\s*[A-Z][A-Z\s]+?)(?:\s+EXHIBITS)?(?:\.PDF)?$/i,
+      /(?:DIRECT|REBUTTAL)\s+([A-Z][A-Z\s]+?)(?:\s+-\s+REDACTED)?(?:\s+EXHIBITS)?(?:\.PDF)?$/i
     ];
     
     for (const pattern of namePatterns) {
@@ -316,8 +574,14 @@ class DocumentProcessor {
       }
     }
     
+    // Running header: "AVISTA – KALICH, Di 12" → the name after the company
+    const headerMatch = runningHeader?.match(/(?:^|\s[–—-]\s)([A-Z][A-Za-z.' ]+?),\s*(?:Di|Reb|Sur|Surreb)\s+\d+\s*$/i);
+    if (headerMatch) {
+      return this.cleanWitnessName(headerMatch[1]);
+    }
+    
     // Fallback to document content
-    const contentMatch = fullDocumentText.match(/DIRECT TESTIMONY\s+OF\s+([A-Z\s\.]+)\s+FOR/i) ||
+    const contentMatch = fullDocumentText.match(/(?:DIRECT|REBUTTAL) TESTIMONY\s+OF\s+([A-Z\s\.]+)\s+FOR/i) ||
                         fullDocumentText.match(/([A-Z][a-z]+ [A-Z][a-z]+),\s+Di\s+\d+/);
     
     if (contentMatch) {
@@ -431,10 +695,7 @@ class DocumentProcessor {
   // ✅ HELPER METHODS
 
   cleanText(text) {
-    return text
-      .replace(/\s{3,}/g, ' ')
-      .replace(/\n{3,}/g, '\n\n')
-      .trim();
+    return normalizeLayout(text);
   }
 
   generateChunkId(documentMetadata, pageNumber, chunkIndex) {
@@ -0,0 +1,298 @@
+// backend/src/services/queryParser.js
+// Discovery Query Language - Phrases, AND/OR/NOT, field prefixes and prefix wildcards for case discovery
+//
+//   "wildfire mitigation" company:"Idaho Power"     phrase AND company phrase (adjacent terms are ANDed)
+//   (rate OR tariff) NOT gas                         NOT and a leading "-" both negate
+//   (wildfire OR vegetation) AND case:IPC-E-24*      grouping, case number prefix
+//   company:(Avista OR Intermountain)                a field prefix applies to every term in its group
+//   description:wildfire                             description only - the field the PUC search box searches
+//   wild*                                            prefix wildcard
+//
+// Operators are uppercase only. Unquoted words match whole words and their plural forms;
+// quoted phrases match exactly.
+// Terms without a field match the company name or the case description. One required unfielded term may be sent
+// to the PUC search box, which searches descriptions only - use company: for a company its descriptions don't name.
+
+const FIELDS = ['company', 'case', 'description'];
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+function createQuerySyntaxError(message) {
+  const error = new Error(`Invalid query: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ✅ TOKENIZER: ( ) operators, -negation, and [field:]"phrase" / [field:]word[*] terms
+function tokenize(query) {
+  const tokens = [];
+  const groupFields = [null]; // Field each open group applies to its terms: company:( ... )
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    if (char === '(') {
+      tokens.push({ type: '(' });
+      groupFields.push(groupFields[groupFields.length - 1]);
+      i++;
+      continue;
+    }
+    if (char === ')') {
+      tokens.push({ type: ')' });
+      if (groupFields.length > 1) groupFields.pop(); // Unbalanced ")" is reported by the parser
+      i++;
+      continue;
+    }
+    if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+      tokens.push({ type: 'NOT' });
+      i++;
+      continue;
+    }
+
+    // Optional field prefix, on a term or on a group
+    let prefixField = null;
+    const fieldMatch = query.slice(i).match(/^([a-z]+):(?=\S)/i);
+    if (fieldMatch && FIELDS.includes(fieldMatch[1].toLowerCase())) {
+      prefixField = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+
+      if (query[i] === '(') {
+        tokens.push({ type: '(' });
+        groupFields.push(prefixField);
+        i++;
+        continue;
+      }
+    }
+    const field = prefixField || groupFields[groupFields.length - 1];
+
+    if (query[i] === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) {
+        throw createQuerySyntaxError('unterminated quoted phrase');
+      }
+      const phrase = query.slice(i + 1, end).trim().replace(/\s+/g, ' ');
+      i = end + 1;
+      if (phrase) {
+        tokens.push({ type: 'TERM', field, value: phrase, phrase: true, wildcard: false });
+      }
+      continue;
+    }
+
+    const wordMatch = query.slice(i).match(/^[^\s()"]+/);
+    if (!wordMatch) {
+      throw createQuerySyntaxError(`field prefix "${prefixField}:" must be followed by a term, phrase or group`);
+    }
+    const word = wordMatch[0];
+    i += word.length;
+
+    if (!prefixField && OPERATORS.includes(word)) {
+      tokens.push({ type: word });
+      continue;
+    }
+
+    const wildcard = word.length > 1 && word.endsWith('*');
+    const value = word.replace(/\*+$/, '');
+    if (!value) {
+      throw createQuerySyntaxError(`"${word}" has no prefix before the wildcard`);
+    }
+    tokens.push({ type: 'TERM', field, value, phrase: false, wildcard });
+  }
+
+  return tokens;
+}
+
+// ✅ PARSER: OR binds loosest, then AND (explicit or implied by adjacency), then NOT
+function parseTokens(tokens) {
+  let position = 0;
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    const operands = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      position++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  };
+
+  const parseAnd = () => {
+    const operands = [parseNot()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') position++;
+      operands.push(parseNot());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  };
+
+  const parseNot = () => {
+    if (peek()?.type === 'NOT') {
+      position++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw createQuerySyntaxError('expected a term at the end of the query');
+    }
+    if (token.type === '(') {
+      position++;
+      const node = parseOr();
+      if (peek()?.type !== ')') {
+        throw createQuerySyntaxError('missing closing parenthesis');
+      }
+      position++;
+      return node;
+    }
+    if (token.type === 'TERM') {
+      position++;
+      const { field, value, phrase, wildcard } = token;
+      return { type: 'term', field, value, phrase, wildcard };
+    }
+    throw createQuerySyntaxError(`unexpected "${token.type}"`);
+  };
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw createQuerySyntaxError(`unexpected "${tokens[position].type}"`);
+  }
+  return ast;
+}
+
+// Singular form for plural-tolerant matching: cases → case, companies → company, tariffs → tariff
+function singularize(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 4 && /(ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function buildTermPattern(term) {
+  const value = term.value.toLowerCase();
+
+  if (term.field === 'case') {
+    // Case numbers match whole, or by prefix with a wildcard: case:IPC-E-24*
+    return new RegExp('^' + escapeRegExp(value) + (term.wildcard ? '' : '$'), 'i');
+  }
+  if (term.phrase) {
+    return new RegExp('\\b' + value.split(' ').map(escapeRegExp).join('\\s+') + '\\b', 'i');
+  }
+  if (term.wildcard) {
+    return new RegExp('\\b' + escapeRegExp(value), 'i');
+  }
+
+  const singular = singularize(value);
+  const stem = singular.endsWith('y')
+    ? escapeRegExp(singular.slice(0, -1)) + '(?:y|ies)'
+    : escapeRegExp(singular) + '(?:s|es)?';
+  return new RegExp('\\b' + stem + '\\b', 'i');
+}
+
+function compileNode(node) {
+  if (node.type === 'term') {
+    return { ...node, pattern: buildTermPattern(node) };
+  }
+  if (node.type === 'not') {
+    return { ...node, operand: compileNode(node.operand) };
+  }
+  return { ...node, operands: node.operands.map(compileNode) };
+}
+
+function evaluateNode(node, caseData) {
+  switch (node.type) {
+    case 'and':
+      return node.operands.every(operand => evaluateNode(operand, caseData));
+    case 'or':
+      return node.operands.some(operand => evaluateNode(operand, caseData));
+    case 'not':
+      return !evaluateNode(node.operand, caseData);
+    default: {
+      if (node.field === 'case') return node.pattern.test(caseData.caseNumber || '');
+      if (node.field === 'company') return node.pattern.test(caseData.company || '');
+      if (node.field === 'description') return node.pattern.test(caseData.description || '');
+      return node.pattern.test(caseData.company || '') || node.pattern.test(caseData.description || '');
+    }
+  }
+}
+
+// Canonical text of the query, fully parenthesized so the echo shows how it was understood
+function formatNode(node, nested = false) {
+  if (node.type === 'term') {
+    const value = node.phrase ? `"${node.value}"` : node.value + (node.wildcard ? '*' : '');
+    return node.field ? `${node.field}:${value}` : value;
+  }
+  if (node.type === 'not') {
+    return `NOT ${formatNode(node.operand, true)}`;
+  }
+  const text = node.operands.map(operand => formatNode(operand, true)).join(` ${node.type.toUpperCase()} `);
+  return nested ? `(${text})` : text;
+}
+
+// Terms every matching case must contain - the top-level AND chain, minus negations and OR groups
+function requiredTerms(node) {
+  if (node.type === 'term') return [node];
+  if (node.type === 'and') return node.operands.flatMap(requiredTerms);
+  return [];
+}
+
+/**
+ * The PUC search box does a plain substring search on the case description, so it gets the longest required
+ * description: or unfielded term; client-side refinement then applies the whole query.
+ * An unfielded term sent this way narrows by description only: a case that matches it by company name alone
+ * is not listed. company: and case: terms are never sent.
+ * Returns null when no term can be sent (the full listing is refined instead).
+ */
+function pickSiteSearchTerm(ast) {
+  const candidates = requiredTerms(ast).filter(term => !term.field || term.field === 'description');
+  if (candidates.length === 0) return null;
+
+  // Words go in as their singular stem so the substring search also finds plurals (compan → company, companies)
+  const searchText = (term) => {
+    if (term.phrase || term.wildcard) return term.value;
+    const singular = singularize(term.value.toLowerCase());
+    return singular.endsWith('y') ? singular.slice(0, -1) : singular;
+  };
+  const best = candidates.reduce((a, b) => (searchText(b).length > searchText(a).length ? b : a));
+  return searchText(best);
+}
+
+/**
+ * Parse a discovery query. Throws an error with statusCode 400 on invalid syntax.
+ * @param {string} query - Raw query from the research request
+ * @returns {Object} { raw, normalized, siteSearch, ast } - plain data, safe to echo in job results
+ */
+export function parseDiscoveryQuery(query) {
+  const raw = (query || '').trim();
+  const tokens = tokenize(raw);
+  if (tokens.length === 0) {
+    throw createQuerySyntaxError('query has no search terms');
+  }
+
+  const ast = parseTokens(tokens);
+  return {
+    raw,
+    normalized: formatNode(ast),
+    siteSearch: pickSiteSearchTerm(ast),
+    ast
+  };
+}
+
+/**
+ * Build a case matcher from a parsed query
+ * @param {Object} parsedQuery - Result of parseDiscoveryQuery
+ * @returns {Function} (caseData) => boolean, where caseData has caseNumber, company and description
+ */
+export function createQueryMatcher(parsedQuery) {
+  const compiled = compileNode(parsedQuery.ast);
+  return (caseData) => evaluateNode(compiled, caseData);
+}
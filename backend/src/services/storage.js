@@ -0,0 +1,232 @@
+// backend/src/services/storage.js
+// Document Storage - Local filesystem or S3-compatible (AWS S3, MinIO) behind one small text API
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const STORAGE_CONFIG = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  local: {
+    root: path.resolve(process.env.STORAGE_LOCAL_ROOT || 'storage')
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    prefix: process.env.S3_PREFIX || '',
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || null, // e.g. http://localhost:9000 for MinIO
+    // MinIO and most self-hosted S3 clones need path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : !!process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || null, // Falls back to the AWS default credential chain
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null
+  }
+};
+
+// Keys are '/'-separated relative paths; anything that could escape the root is refused
+function normalizeKey(key) {
+  const parts = String(key).split('/').filter(part => part && part !== '.');
+  if (parts.length === 0 || parts.includes('..')) {
+    throw new Error(`Invalid storage key: "${key}"`);
+  }
+  return parts.join('/');
+}
+
+function joinKeys(...parts) {
+  return parts.filter(Boolean).join('/');
+}
+
+/**
+ * Local filesystem driver. Writes go to a temp file first and are renamed into place,
+ * so a reader never sees half a document.
+ */
+class LocalStorageDriver {
+  constructor({ root }) {
+    this.root = root;
+  }
+
+  filePath(key) {
+    return path.join(this.root, ...normalizeKey(key).split('/'));
+  }
+
+  async putText(key, text) {
+    const target = this.filePath(key);
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.writeFile(temp, text, 'utf8');
+      await fs.rename(temp, target);
+    } catch (error) {
+      await fs.rm(temp, { force: true });
+      throw error;
+    }
+  }
+
+  async getText(key) {
+    try {
+      return await fs.readFile(this.filePath(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  async removePrefix(prefix) {
+    await fs.rm(this.filePath(prefix), { recursive: true, force: true });
+  }
+
+  describe(key) {
+    return this.filePath(key);
+  }
+}
+
+/**
+ * S3-compatible driver. The AWS SDK is loaded on first use so local-only deployments never pay for it.
+ */
+class S3StorageDriver {
+  constructor(config) {
+    if (!config.bucket) {
+      throw new Error('S3 storage needs S3_BUCKET');
+    }
+    this.config = config;
+    this.sdk = null;
+  }
+
+  async client() {
+    if (!this.sdk) {
+      const sdk = await import('@aws-sdk/client-s3');
+      const { region, endpoint, forcePathStyle, accessKeyId, secretAccessKey } = this.config;
+      const client = new sdk.S3Client({
+        region,
+        forcePathStyle,
+        ...(endpoint ? { endpoint } : {}),
+        ...(accessKeyId ? { credentials: { accessKeyId, secretAccessKey } } : {})
+      });
+      this.sdk = { ...sdk, client };
+    }
+    return this.sdk;
+  }
+
+  objectKey(key) {
+    return joinKeys(this.config.prefix.replace(/\/+$/, ''), normalizeKey(key));
+  }
+
+  async putText(key, text) {
+    const { client, PutObjectCommand } = await this.client();
+    await client.send(new PutObjectCommand({
+      Bucket: this.config.bucket,
+      Key: this.objectKey(key),
+      Body: text,
+      ContentType: 'text/plain; charset=utf-8'
+    }));
+  }
+
+  async getText(key) {
+    const { client, GetObjectCommand } = await this.client();
+    try {
+      const response = await client.send(new GetObjectCommand({ Bucket: this.config.bucket, Key: this.objectKey(key) }));
+      return await response.Body.transformToString('utf-8');
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    const { client, DeleteObjectCommand } = await this.client();
+    await client.send(new DeleteObjectCommand({ Bucket: this.config.bucket, Key: this.objectKey(key) }));
+  }
+
+  async removePrefix(prefix) {
+    const { client, ListObjectsV2Command, DeleteObjectsCommand } = await this.client();
+    const Prefix = this.objectKey(prefix) + '/';
+    let ContinuationToken;
+
+    do {
+      const listing = await client.send(new ListObjectsV2Command({ Bucket: this.config.bucket, Prefix, ContinuationToken }));
+      const objects = (listing.Contents || []).map(object => ({ Key: object.Key }));
+      if (objects.length > 0) {
+        await client.send(new DeleteObjectsCommand({ Bucket: this.config.bucket, Delete: { Objects: objects, Quiet: true } }));
+      }
+      ContinuationToken = listing.IsTruncated ? listing.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+  }
+
+  describe(key) {
+    return `s3://${this.config.bucket}/${this.objectKey(key)}`;
+  }
+}
+
+/**
+ * A view of a driver under a key prefix, e.g. one research job's files.
+ * `key()` gives the full key, which any other view of the same driver can read.
+ */
+class StorageNamespace {
+  constructor(driver, prefix = '') {
+    this.driver = driver;
+    this.prefix = prefix ? normalizeKey(prefix) : '';
+  }
+
+  key(relativeKey) {
+    return joinKeys(this.prefix, normalizeKey(relativeKey));
+  }
+
+  namespace(prefix) {
+    return new StorageNamespace(this.driver, this.key(prefix));
+  }
+
+  putText(relativeKey, text) {
+    return this.driver.putText(this.key(relativeKey), text);
+  }
+
+  getText(relativeKey) {
+    return this.driver.getText(this.key(relativeKey));
+  }
+
+  remove(relativeKey) {
+    return this.driver.remove(this.key(relativeKey));
+  }
+
+  // Delete everything in this namespace
+  clear() {
+    if (!this.prefix) {
+      throw new Error('Refusing to clear the storage root');
+    }
+    return this.driver.removePrefix(this.prefix);
+  }
+
+  describe(relativeKey) {
+    return this.driver.describe(this.key(relativeKey));
+  }
+}
+
+export function createStorage(config = STORAGE_CONFIG) {
+  if (config.driver === 's3') {
+    return new StorageNamespace(new S3StorageDriver(config.s3));
+  }
+  if (config.driver === 'local') {
+    return new StorageNamespace(new LocalStorageDriver(config.local));
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${config.driver}" (expected "local" or "s3")`);
+}
+
+let storage = null;
+
+// Process-wide storage root, configured from the environment on first use
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+    const location = STORAGE_CONFIG.driver === 's3' ? `s3://${STORAGE_CONFIG.s3.bucket}/${STORAGE_CONFIG.s3.prefix}` : STORAGE_CONFIG.local.root;
+    console.log(`🗄️ Storage: ${STORAGE_CONFIG.driver} (${location})`);
+  }
+  return storage;
+}
+
+// Files that belong to one research job; removed with the job
+export function getJobStorage(jobId) {
+  return getStorage().namespace(`jobs/${jobId}`);
+}
+
+export { LocalStorageDriver, S3StorageDriver, StorageNamespace };
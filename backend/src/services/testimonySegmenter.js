@@ -0,0 +1,106 @@
+// backend/src/services/testimonySegmenter.js
+// Testimony Segmenter - Split numbered Q. / A. testimony into question–answer units with page and line spans
+
+const QUESTION_PATTERN = /^Q\.\s*(.*)$/;
+const ANSWER_PATTERN = /^A\.\s*(.*)$/;
+const MAX_HEADING_LENGTH = 240;
+
+/**
+ * A page's lines with their line numbers. DocumentProcessor.removePageBoilerplate supplies them
+ * (margin numbers already split off); bare content is counted from the top, blank lines excluded.
+ */
+function readPageLines(page) {
+  if (page.lines) return page.lines;
+
+  let counted = 0;
+  return page.content.split('\n').map(line => {
+    const text = line.trim();
+    return { text, lineNumber: text ? ++counted : null };
+  });
+}
+
+function toHeading(questionLines) {
+  const question = questionLines.join(' ').replace(/\s+/g, ' ').trim();
+  return question.length > MAX_HEADING_LENGTH ? question.slice(0, MAX_HEADING_LENGTH - 1).trimEnd() + '…' : question;
+}
+
+/**
+ * Segment testimony into question–answer units
+ * @param {Array} pages - [{ pageNumber, content, lines? }] in page order; pageNumber is null for unpaged text
+ * @returns {Array} Units in document order: { index, question, text, startPage, endPage, startLine, endLine }.
+ *   Text before the first question (cover page, table of contents) is a unit with question null,
+ *   so the units together cover the whole document.
+ */
+export function segmentTestimony(pages) {
+  const units = [];
+  let current = null;
+
+  const startUnit = (page, line) => {
+    current = {
+      questionLines: [],
+      lines: [],
+      inAnswer: false,
+      startPage: page.pageNumber ?? null,
+      endPage: page.pageNumber ?? null,
+      startLine: line.lineNumber,
+      endLine: line.lineNumber
+    };
+    units.push(current);
+  };
+
+  for (const page of pages) {
+    for (const line of readPageLines(page)) {
+      const question = line.text.match(QUESTION_PATTERN);
+      const answer = !question && line.text.match(ANSWER_PATTERN);
+
+      if (question) {
+        startUnit(page, line);
+        current.questionLines.push(question[1]);
+      } else if (!current) {
+        if (!line.text) continue;
+        startUnit(page, line); // Preamble
+      } else if (answer && current.questionLines.length > 0) {
+        current.inAnswer = true;
+      } else if (line.text && line.lineNumber !== null && current.questionLines.length > 0 && !current.inAnswer &&
+                 !/\?["')]?$/.test(current.questionLines[current.questionLines.length - 1])) {
+        current.questionLines.push(line.text); // Question wrapped onto the next line; on numbered pages, unnumbered lines are headers/footers
+      }
+
+      current.lines.push(line.text);
+      if (line.text) {
+        current.endPage = page.pageNumber ?? null;
+        current.endLine = line.lineNumber ?? current.endLine;
+        current.startLine = current.startLine ?? line.lineNumber;
+      }
+    }
+  }
+
+  return units
+    .map(unit => ({
+      question: unit.questionLines.length > 0 ? toHeading(unit.questionLines) : null,
+      text: unit.lines.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+      startPage: unit.startPage,
+      endPage: unit.endPage,
+      startLine: unit.startLine,
+      endLine: unit.endLine
+    }))
+    .filter(unit => unit.text)
+    .map((unit, index) => ({ index, ...unit }));
+}
+
+// "pages 12–13" / "page 12", for headings and citations
+export function formatPageSpan(startPage, endPage) {
+  if (startPage === null || startPage === undefined) return null;
+  return endPage !== null && endPage !== undefined && endPage !== startPage
+    ? `pages ${startPage}–${endPage}`
+    : `page ${startPage}`;
+}
+
+// "Di 12–13" / "Di 12" from the printed labels of a span's first and last pages
+export function formatPageLabelSpan(startLabel, endLabel) {
+  if (!startLabel) return null;
+  if (!endLabel || endLabel === startLabel) return startLabel;
+  const [startPrefix, startNumber] = startLabel.split(' ');
+  const [endPrefix, endNumber] = endLabel.split(' ');
+  return startPrefix === endPrefix ? `${startPrefix} ${startNumber}–${endNumber}` : `${startLabel}–${endLabel}`;
+}
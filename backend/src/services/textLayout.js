@@ -0,0 +1,56 @@
+// backend/src/services/textLayout.js
+// Text Layout - Whitespace cleanup that keeps line, paragraph and page structure intact
+//
+// Extracted text is laid out as lines separated by "\n", paragraphs separated by a blank line,
+// and pages introduced by a "--- PAGE n ---" marker line. Everything here works line by line
+// so testimony numbering, Q./A. prefixes and page markers survive cleanup.
+
+// Viewer UI text that ends up in the scraped text layer
+const VIEWER_CHROME_PATTERNS = [
+  /View plain text/gi,
+  /View images/gi,
+  /Search in document/gi,
+  /PUC Case Management/gi,
+  /PublicFiles.*?Company/gi
+];
+
+/**
+ * Normalize whitespace without losing structure: horizontal runs become one space,
+ * lines are trimmed, and any run of blank lines becomes a single paragraph break.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeLayout(text) {
+  return (text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\f/g, '\n\n')
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Remove viewer chrome from each line. Lines that held nothing but chrome are dropped;
+ * blank lines already in the text are paragraph breaks and stay.
+ * @param {string} text - Layout-normalized text
+ * @returns {string}
+ */
+export function removeViewerChrome(text) {
+  const lines = [];
+  for (const line of text.split('\n')) {
+    const cleaned = VIEWER_CHROME_PATTERNS
+      .reduce((current, pattern) => current.replace(pattern, ''), line)
+      .replace(/ {2,}/g, ' ')
+      .trim();
+    if (cleaned || !line.trim()) {
+      lines.push(cleaned);
+    }
+  }
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Single-line view for sentence-level matching, where a wrapped line must not split a phrase
+export function flattenText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractCrossReferences,
+  normalizeCaseReference,
+  readOrderNumber,
+  buildCitationGraph,
+  describeCaseCitations,
+  summarizeCitationGraph
+} from '../src/services/crossReferences.js';
+
+const searchDocument = (caseNumber, documentName, documentType, content, pageNumber = 1) => ({
+  metadata: {
+    caseNumber,
+    documentName,
+    documentType,
+    documentUrl: `https://example.test/${encodeURIComponent(documentName)}`,
+    pageNumber,
+    references: extractCrossReferences(content, caseNumber)
+  }
+});
+
+test('case numbers are normalized to a two-digit sequence', () => {
+  assert.equal(normalizeCaseReference('ipc-e-23-1'), 'IPC-E-23-01');
+  assert.equal(normalizeCaseReference(' AVU-G-22-07 '), 'AVU-G-22-07');
+  assert.equal(normalizeCaseReference('IPC-E-2023-01'), null);
+  assert.equal(normalizeCaseReference(null), null);
+});
+
+test('case and order references are extracted once each, in order of mention', () => {
+  const references = extractCrossReferences(
+    'As the Commission found in Order No. 36042 in Case No. IPC-E-23-11, the ROE was 9.6%. ' +
+    'See Order Nos. 35,421 and 35422; IPC-E-23-11 was appealed.'
+  );
+  assert.deepEqual(references.map(reference => reference.reference), [
+    'Order No. 36042', 'IPC-E-23-11', 'Order No. 35421', 'Order No. 35422'
+  ]);
+  assert.equal(references[0].type, 'order');
+  assert.equal(references[0].orderNumber, '36042');
+  assert.equal(references[0].caseNumber, 'IPC-E-23-11'); // The case named right after the order
+  assert.equal(references[2].caseNumber, null);
+  assert.match(references[1].context, /Case No\. IPC-E-23-11/);
+});
+
+test('an order is tied only to a case it was issued in', () => {
+  const caseOf = (text) => extractCrossReferences(text).find(reference => reference.type === 'order').caseNumber;
+  assert.equal(caseOf('Order No. 36042 (Case IPC-E-23-11)'), 'IPC-E-23-11');
+  assert.equal(caseOf('Order No. 36042, issued in Case No. IPC-E-23-11'), 'IPC-E-23-11');
+  assert.equal(caseOf('Order No. 36042 and Case IPC-E-23-11'), null);
+  assert.equal(caseOf('Order No. 36042. Case IPC-E-23-11 followed.'), null);
+});
+
+test('a case number wrapped across lines is still one reference', () => {
+  const [reference] = extractCrossReferences('approved in Case No. IPC-E-23-\n11 last year');
+  assert.equal(reference.reference, 'IPC-E-23-11');
+});
+
+test("a chunk's own case is not a cross-reference", () => {
+  const references = extractCrossReferences('In this case, IPC-E-25-16, and in AVU-E-23-01...', 'IPC-E-25-16');
+  assert.deepEqual(references.map(reference => reference.reference), ['AVU-E-23-01']);
+});
+
+test('numbers that are not orders or case numbers are ignored', () => {
+  assert.deepEqual(extractCrossReferences('Line 12 of Exhibit No. 3 shows $36,042 and 9.6%. I-84 W-2'), []);
+});
+
+test('order numbers are read from order document names', () => {
+  assert.equal(readOrderNumber('ORDER NO 36042'), '36042');
+  assert.equal(readOrderNumber('Final Order No. 35,421'), '35421');
+  assert.equal(readOrderNumber('DIRECT TESTIMONY OF KALICH'), null);
+});
+
+test('the citation graph resolves orders through the corpus and drops self-citations', () => {
+  const documents = [
+    searchDocument('IPC-E-25-16', 'DIRECT KALICH', 'direct_testimony', 'The Commission approved the 9.5% ROE in Order No. 36042.', 3),
+    searchDocument('IPC-E-25-16', 'DIRECT KALICH', 'direct_testimony', 'Order No. 36042 also set the equity ratio.', 5),
+    searchDocument('IPC-E-23-11', 'ORDER NO 36042', 'order', 'ORDER NO. 36042 ... as in AVU-E-22-02'),
+    searchDocument('AVU-E-24-01', 'DIRECT SMITH', 'direct_testimony', 'Compare Order No. 99999 and Case INT-G-20-01.')
+  ];
+  const graph = buildCitationGraph(documents, [
+    { caseNumber: 'IPC-E-25-16', company: 'Idaho Power Company' },
+    { caseNumber: 'IPC-E-23-11', company: 'Idaho Power Company' },
+    { caseNumber: 'AVU-E-24-01', company: 'Avista Corporation' }
+  ]);
+
+  const cited = describeCaseCitations(graph, 'IPC-E-23-11');
+  assert.equal(cited.inCorpus, true);
+  assert.deepEqual(cited.citedBy.map(document => [document.caseNumber, document.documentName, document.pageNumbers]), [
+    ['IPC-E-25-16', 'DIRECT KALICH', [3, 5]]
+  ]);
+  assert.deepEqual(cited.cites.map(citation => [citation.caseNumber, citation.inCorpus]), [['AVU-E-22-02', false]]);
+
+  // Cases outside the corpus still list who cites them
+  const outside = describeCaseCitations(graph, 'INT-G-20-01');
+  assert.equal(outside.inCorpus, false);
+  assert.deepEqual(outside.citedBy.map(document => document.caseNumber), ['AVU-E-24-01']);
+  assert.deepEqual(describeCaseCitations(graph, 'GNR-U-19-01').citedBy, []);
+
+  const summary = summarizeCitationGraph(graph);
+  assert.deepEqual(summary.edges.map(edge => `${edge.from} → ${edge.to}`).sort(), [
+    'AVU-E-24-01 → INT-G-20-01',
+    'IPC-E-23-11 → AVU-E-22-02',
+    'IPC-E-25-16 → IPC-E-23-11'
+  ]);
+  assert.deepEqual(summary.unresolved.map(reference => reference.reference), ['Order No. 99999']);
+});
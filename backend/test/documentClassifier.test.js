@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyDocument, isDocumentClass } from '../src/services/documentClassifier.js';
+import { createPucCaseSource } from '../src/services/caseSources.js';
+
+// Links as the case page lists them, under their header boxes
+const CASE_PAGE_LINKS = [
+  ['Company', 'APPLICATION'],
+  ['Company', 'DIRECT TESTIMONY OF JANE KALICH'],
+  ['Company', 'DIRECT KALICH EXHIBITS'],
+  ['Company', 'DIRECT THOMPSON - REDACTED'],
+  ['Company', 'REBUTTAL KALICH'],
+  ['Company', 'RESPONSE TO STAFF PRODUCTION REQUEST NO 1'],
+  ['Company', 'EXHIBITS TO APPLICATION'],
+  ['Staff', 'STAFF COMMENTS'],
+  ['Staff', 'DIRECT TERRY'],
+  ['Staff', 'DIRECT TERRY EXHIBITS'],
+  ['Staff', 'REBUTTAL TERRY'],
+  ['Staff', 'PUBLIC COMMENTS SUMMARY'],
+  ['Staff', 'ORDER NO 36042 COMPLIANCE FILING'],
+  ['Staff', 'FIRST PRODUCTION REQUEST OF STAFF'],
+  ['Intervenor', 'DIRECT TESTIMONY OF ICIP WITNESS'],
+  ['Commission Orders', 'ORDER NO 36042'],
+  ['Notices', 'NOTICE OF APPLICATION']
+].map(([sectionTitle, documentName], index) => ({
+  sectionTitle,
+  documentName,
+  href: `https://lf-puc.idaho.gov/WebLink/DocView.aspx?id=${index}`,
+  date: '1/15/2025'
+}));
+
+// What the crawler fetched before document classes: every Staff link, and Company links whose name has DIRECT
+function baselineSelection(links) {
+  return links
+    .filter(link => link.sectionTitle === 'Staff' || (link.sectionTitle === 'Company' && link.documentName.includes('DIRECT')))
+    .map(link => link.documentName);
+}
+
+const casePage = (links) => ({
+  goto: async () => {},
+  evaluate: async () => links
+});
+
+const selectDocuments = (options) => createPucCaseSource({ utilityType: 'electric', label: 'Electric', caseCode: 'E', utilCode: 'E' })
+  .selectDocuments(casePage(CASE_PAGE_LINKS), { caseUrl: 'https://puc.idaho.gov/case/Details/1' }, options);
+
+test('the default selection is the one the crawler made before document classes', async () => {
+  const selected = await selectDocuments();
+  assert.deepEqual(selected.map(document => document.documentName), baselineSelection(CASE_PAGE_LINKS));
+  assert.deepEqual(
+    selected.filter(document => document.section === 'Company').map(document => document.documentClass),
+    ['direct_testimony', 'exhibit', 'direct_testimony']
+  );
+});
+
+test('named classes select by class in every section', async () => {
+  const selected = await selectDocuments({ documentClasses: ['rebuttal_testimony', 'order'] });
+  assert.deepEqual(selected.map(document => [document.section, document.documentName]), [
+    ['Company', 'REBUTTAL KALICH'],
+    ['Staff', 'REBUTTAL TERRY'],
+    ['Commission', 'ORDER NO 36042']
+  ]);
+});
+
+test('filings are classified by section and name', () => {
+  assert.equal(classifyDocument({ documentName: 'DIRECT TERRY', section: 'Staff' }), 'staff_testimony');
+  assert.equal(classifyDocument({ documentName: 'DIRECT TERRY', section: 'Company' }), 'direct_testimony');
+  assert.equal(classifyDocument({ documentName: 'SURREBUTTAL KALICH', section: 'Company' }), 'surrebuttal_testimony');
+  assert.equal(classifyDocument({ documentName: 'DIRECT TESTIMONY', section: 'Intervenor' }), 'intervenor_filing');
+  assert.equal(classifyDocument({ documentName: 'LETTER', section: null }), 'other');
+});
+
+test('document class keys are checked against the taxonomy only', () => {
+  assert.ok(isDocumentClass('staff_comments'));
+  assert.ok(!isDocumentClass('toString'));
+  assert.ok(!isDocumentClass('unknown'));
+});
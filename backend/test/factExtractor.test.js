@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFacts, classifyNumber, getFactKinds, isFactKind } from '../src/services/factExtractor.js';
+
+const chunk = (content, overrides = {}) => ({
+  id: 'chunk-1',
+  content,
+  caseNumber: 'IPC-E-25-16',
+  company: 'Idaho Power Company',
+  utilityType: 'electric',
+  documentName: 'DIRECT THOMPSON',
+  documentType: 'direct_testimony',
+  documentUrl: 'https://example.test/thompson',
+  pageNumber: 4,
+  pageLabel: 'Di 4',
+  structured: { metadata: { witness: 'Thompson' } },
+  ...overrides
+});
+
+const kindsOf = (content) => extractFacts([chunk(content)]).map(fact => [fact.kind, fact.value]);
+
+test('ROE figures are split by who set them', () => {
+  assert.deepEqual(kindsOf('The Company requests a return on equity of 10.4%.'), [['requested_roe', 10.4]]);
+  assert.deepEqual(kindsOf('Staff recommends an ROE of 9.5 percent.'), [['recommended_roe', 9.5]]);
+  assert.deepEqual(kindsOf('The currently authorized ROE is 9.6%.'), [['authorized_roe', 9.6]]);
+  assert.deepEqual(kindsOf('A return on equity of 10% is typical.'), [['roe', 10]]);
+});
+
+test('each number takes the kind named nearest to it', () => {
+  assert.deepEqual(
+    kindsOf('Staff recommends an ROE of 9.5% while the Company requests 10.4%.'),
+    [['recommended_roe', 9.5], ['requested_roe', 10.4]]
+  );
+  assert.deepEqual(
+    kindsOf('The Company proposes a capital structure of 50% equity and a cost of debt of 4.6%.'),
+    [['capital_structure_ratio', 50], ['cost_of_debt', 4.6]]
+  );
+  assert.deepEqual(kindsOf('This is an overall rate increase of 7.2%.'), [['rate_increase_percent', 7.2]]);
+});
+
+test('dollar amounts are normalized to dollars', () => {
+  const facts = extractFacts([chunk('The revenue requirement increases by $1.2 million on a rate base of $5,430,000,000.')]);
+  assert.deepEqual(facts.map(fact => [fact.kind, fact.value, fact.amount, fact.scale, fact.unit]), [
+    ['revenue_requirement', 1200000, 1.2, 'million', 'USD'],
+    ['rate_base', 5430000000, 5430000000, null, 'USD']
+  ]);
+  assert.equal(extractFacts([chunk('Rate base grows to $3.1B.')])[0].value, 3.1e9);
+});
+
+test('unit limits the kinds a number can take', () => {
+  // A percentage next to "rate base" isn't a rate base
+  assert.equal(classifyNumber('The rate base grew 5%.', { unit: 'percent', index: 19, raw: '5%' }), 'other');
+  assert.deepEqual(kindsOf('The meter cost $45.'), [['other', 45]]);
+});
+
+test('decimals do not split sentences', () => {
+  const [fact] = extractFacts([chunk('The ROE of 10.4% is requested. Nothing else.')]);
+  assert.equal(fact.sentence, 'The ROE of 10.4% is requested.');
+});
+
+test('facts carry their source and are deduplicated across overlapping chunks', () => {
+  const text = 'The Company requests a return on equity of 10.4%.';
+  const facts = extractFacts([chunk(text), chunk(`Earlier text. ${text}`, { id: 'chunk-2' })]);
+  assert.equal(facts.length, 1);
+  assert.equal(facts[0].chunkId, 'chunk-1');
+  assert.equal(facts[0].witness, 'Thompson');
+  assert.equal(facts[0].pageLabel, 'Di 4');
+  assert.equal(facts[0].label, 'Requested ROE');
+  assert.match(facts[0].id, /^[0-9a-f]{12}$/);
+});
+
+test('fact kinds list every kind a fact can have', () => {
+  const keys = getFactKinds().map(kind => kind.key);
+  assert.deepEqual(keys.slice(0, 4), ['authorized_roe', 'recommended_roe', 'requested_roe', 'roe']);
+  assert.ok(keys.every(isFactKind));
+  assert.ok(isFactKind('other'));
+  assert.ok(!isFactKind('toString'));
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DocumentProcessor from '../src/services/processor.js';
+
+const processor = new DocumentProcessor({}); // Storage is only read by processDocument
+
+const pageOf = (lines) => ({ pageNumber: null, content: lines.join('\n'), ocrConfidence: null });
+
+// Six pages of unnumbered testimony: running header, "A. Yes." second from the top, page footer
+function unnumberedTestimony() {
+  return Array.from({ length: 6 }, (_, i) => ({
+    ...pageOf([
+      `AVISTA – KALICH, Di ${i + 1}`,
+      'A. Yes.',
+      `Q. Is the ${9 + i / 10}% return on equity reasonable?`,
+      'A. It is within the range of comparable utilities and reflects current capital markets.',
+      'The proxy group, the discounted cash flow results and the risk premium analysis all point the same way,',
+      'and the Company has not shown that its risk differs from the group enough to justify a higher figure.',
+      'Q. Please continue.',
+      'A. Yes.',
+      `Page ${i + 1} of 6`
+    ]),
+    pageNumber: i + 1
+  }));
+}
+
+// Six pleading-paper pages: unnumbered header, numbered lines 1-8, unnumbered footer
+function numberedTestimony() {
+  return Array.from({ length: 6 }, (_, i) => ({
+    ...pageOf([
+      `Blattner, Reb ${i + 1}`,
+      `1 Q. Is ${9 + i / 10}% a reasonable return on equity?`,
+      '2 A. Yes.',
+      '3 Q. Why?',
+      '4 A. Capital costs have risen since the last case and',
+      '5 the Company must attract investment.',
+      '6 Q. Anything else?',
+      `7 A. The ${9 + i / 10}% figure is supported by my models.`,
+      '8 A. Yes.',
+      'Idaho Power Company'
+    ]),
+    pageNumber: i + 1
+  }));
+}
+
+test('running headers and footers are removed and page labels kept', () => {
+  const { pages, runningHeader } = processor.removePageBoilerplate(unnumberedTestimony());
+  assert.equal(runningHeader, 'AVISTA – KALICH, Di 1');
+  pages.forEach((page, i) => {
+    assert.equal(page.pageLabel, `Di ${i + 1}`);
+    assert.doesNotMatch(page.content, /KALICH|Page \d of 6/);
+  });
+});
+
+test('Q/A lines at the edge of every page survive', () => {
+  const { pages } = processor.removePageBoilerplate(unnumberedTestimony());
+  pages.forEach((page, i) => {
+    const lines = page.content.split('\n');
+    assert.equal(lines[0], 'A. Yes.');
+    assert.equal(lines[lines.length - 1], 'A. Yes.');
+    assert.ok(lines.includes(`Q. Is the ${9 + i / 10}% return on equity reasonable?`));
+  });
+});
+
+test('lines carrying a margin number are never boilerplate', () => {
+  const { pages } = processor.removePageBoilerplate(numberedTestimony());
+  pages.forEach((page, i) => {
+    assert.equal(page.pageLabel, `Reb ${i + 1}`);
+    assert.deepEqual(page.lines.map(line => line.lineNumber), [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.equal(page.lines[0].text, `Q. Is ${9 + i / 10}% a reasonable return on equity?`);
+    assert.equal(page.lines[7].text, 'A. Yes.');
+    assert.doesNotMatch(page.content, /Blattner|Idaho Power Company/);
+  });
+});
+
+test('a stock line repeated mid-page stays', () => {
+  const pages = Array.from({ length: 5 }, (_, i) => ({
+    ...pageOf(['ACME UTILITY', `${['Rates', 'Loads', 'Costs', 'Plans', 'Risks'][i]} open the page.`, 'Subject to check.', `${['Taxes', 'Wages', 'Fuels', 'Lines', 'Poles'][i]} close it.`, 'ACME UTILITY']),
+    pageNumber: i + 1
+  }));
+  const { pages: cleaned } = processor.removePageBoilerplate(pages);
+  cleaned.forEach(page => {
+    assert.doesNotMatch(page.content, /ACME/);
+    assert.match(page.content, /Subject to check\./);
+  });
+});
+
+test('testimony chunks keep their answers', () => {
+  const text = unnumberedTestimony()
+    .map(page => `--- PAGE ${page.pageNumber} ---\n${page.content}`)
+    .join('\n\n');
+  const chunks = processor.createChunks(text, {
+    filename: 'kalich.txt',
+    caseNumber: 'AVU-E-24-01',
+    documentName: 'KALICH DIRECT',
+    documentType: 'direct_testimony'
+  });
+
+  const answered = chunks.filter(chunk => chunk.qaUnit?.question);
+  assert.ok(answered.length >= 6);
+  answered.forEach(chunk => assert.match(chunk.content, /^A\. /m));
+  assert.ok(chunks.every(chunk => !/KALICH, Di/.test(chunk.content)));
+});
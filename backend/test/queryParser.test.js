@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDiscoveryQuery, createQueryMatcher } from '../src/services/queryParser.js';
+
+const matches = (query, caseData) => createQueryMatcher(parseDiscoveryQuery(query))(caseData);
+
+const avista = { caseNumber: 'AVU-E-24-01', company: 'Avista Corporation', description: 'General rate case' };
+const intermountain = { caseNumber: 'INT-G-24-02', company: 'Intermountain Gas Company', description: 'Rate increase for natural gas service' };
+const idahoPower = { caseNumber: 'IPC-E-24-07', company: 'Idaho Power Company', description: 'Wildfire mitigation plan' };
+
+const assertSyntaxError = (query, message) => {
+  assert.throws(() => parseDiscoveryQuery(query), (error) => {
+    assert.equal(error.statusCode, 400);
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+};
+
+test('adjacent terms are ANDed and match company or description', () => {
+  assert.equal(parseDiscoveryQuery('wildfire mitigation').normalized, 'wildfire AND mitigation');
+  assert.ok(matches('idaho wildfire', idahoPower));
+  assert.ok(!matches('idaho wildfire', avista));
+});
+
+test('OR, NOT and negation with "-"', () => {
+  assert.ok(matches('(wildfire OR gas) -avista', intermountain));
+  assert.ok(!matches('rate NOT avista', avista));
+});
+
+test('words match plurals, phrases match exactly, wildcards by prefix', () => {
+  assert.ok(matches('increases', intermountain));
+  assert.ok(matches('"natural gas"', intermountain));
+  assert.ok(!matches('"gas natural"', intermountain));
+  assert.ok(matches('wild*', idahoPower));
+  assert.ok(matches('case:IPC-E-24*', idahoPower));
+  assert.ok(!matches('case:IPC-E-23*', idahoPower));
+});
+
+test('a field prefix on a group applies to every term in it', () => {
+  const parsed = parseDiscoveryQuery('company:(Idaho OR Avista) rate');
+  assert.equal(parsed.normalized, '(company:Idaho OR company:Avista) AND rate');
+  assert.ok(matches('company:(Idaho OR Avista)', avista));
+  assert.ok(matches('company:(Idaho OR Avista)', idahoPower));
+  assert.ok(!matches('company:(Idaho OR Avista)', intermountain));
+  // "wildfire" is in Idaho Power's description, not its company name
+  assert.ok(!matches('company:(wildfire)', idahoPower));
+  // The group's field ends with the group
+  assert.ok(matches('company:(Idaho) wildfire', idahoPower));
+});
+
+test('a term inside a field group can carry its own field', () => {
+  assert.ok(matches('company:(Avista OR case:IPC-E-24*)', idahoPower));
+});
+
+test('syntax errors are 400s', () => {
+  assertSyntaxError('', /no search terms/);
+  assertSyntaxError('"wildfire', /unterminated/);
+  assertSyntaxError('(wildfire OR rate', /closing parenthesis/);
+  assertSyntaxError('wildfire)', /unexpected/);
+  assertSyntaxError('wildfire AND', /end of the query/);
+  assertSyntaxError('* rate', /wildcard/);
+  assertSyntaxError('company:)', /field prefix/);
+  assertSyntaxError('company:() rate', /unexpected/);
+});
+
+test('the longest required description: or unfielded term goes to the site search', () => {
+  assert.equal(parseDiscoveryQuery('Intermountain rate').siteSearch, 'intermountain');
+  assert.equal(parseDiscoveryQuery('"wildfire mitigation" Idaho Power').siteSearch, 'wildfire mitigation');
+  assert.equal(parseDiscoveryQuery('rate increases').siteSearch, 'increase');
+  assert.equal(parseDiscoveryQuery('tariff description:wildfire').siteSearch, 'wildfire');
+  assert.equal(parseDiscoveryQuery('company:Intermountain rate').siteSearch, 'rate');
+  assert.equal(parseDiscoveryQuery('company:Intermountain case:INT-G-24*').siteSearch, null);
+  assert.equal(parseDiscoveryQuery('wildfire OR vegetation').siteSearch, null);
+  assert.ok(matches('Intermountain rate', intermountain));
+
+  assert.equal(parseDiscoveryQuery('description:wildfire Idaho').siteSearch, 'wildfire');
+  assert.equal(parseDiscoveryQuery('description:increases').siteSearch, 'increase');
+  assert.equal(parseDiscoveryQuery('description:"natural gas" description:rate').siteSearch, 'natural gas');
+  assert.equal(parseDiscoveryQuery('description:(wildfire OR rate)').siteSearch, null);
+  assert.equal(parseDiscoveryQuery('NOT description:wildfire').siteSearch, null);
+  assert.ok(!matches('description:Avista', avista));
+});
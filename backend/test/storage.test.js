@@ -0,0 +1,107 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createStorage, LocalStorageDriver, S3StorageDriver, StorageNamespace } from '../src/services/storage.js';
+
+// The S3 driver runs against any S3-compatible server, e.g. MinIO:
+//   docker run -p 9000:9000 minio/minio server /data
+//   TEST_S3_ENDPOINT=http://localhost:9000 TEST_S3_ACCESS_KEY_ID=minioadmin TEST_S3_SECRET_ACCESS_KEY=minioadmin npm test
+// TEST_S3_BUCKET defaults to puc-research-test and is created if missing.
+const S3_TEST = {
+  endpoint: process.env.TEST_S3_ENDPOINT || null,
+  bucket: process.env.TEST_S3_BUCKET || 'puc-research-test',
+  accessKeyId: process.env.TEST_S3_ACCESS_KEY_ID || null,
+  secretAccessKey: process.env.TEST_S3_SECRET_ACCESS_KEY || null
+};
+
+// What every driver has to do, checked through the namespace API the rest of the backend uses
+function storageContract(createRoot) {
+  let root;
+  before(async () => {
+    root = await createRoot();
+  });
+
+  test('text round-trips, missing keys read as null', async () => {
+    const jobs = root.namespace('jobs/job-1');
+    await jobs.putText('docs/kalich.txt', 'Q. Name?\nA. Jane Kalich — ROE 10.4%');
+    assert.equal(await jobs.getText('docs/kalich.txt'), 'Q. Name?\nA. Jane Kalich — ROE 10.4%');
+    assert.equal(await root.getText('jobs/job-1/docs/kalich.txt'), 'Q. Name?\nA. Jane Kalich — ROE 10.4%');
+    assert.equal(await jobs.getText('docs/missing.txt'), null);
+  });
+
+  test('writes replace and remove deletes', async () => {
+    const jobs = root.namespace('jobs/job-2');
+    await jobs.putText('a.txt', 'first');
+    await jobs.putText('a.txt', 'second');
+    assert.equal(await jobs.getText('a.txt'), 'second');
+    await jobs.remove('a.txt');
+    assert.equal(await jobs.getText('a.txt'), null);
+    await jobs.remove('a.txt'); // Removing a missing key is not an error
+  });
+
+  test('clear removes one namespace and leaves its neighbours', async () => {
+    const first = root.namespace('jobs/job-3');
+    const neighbour = root.namespace('jobs/job-30');
+    await first.putText('a.txt', 'a');
+    await first.putText('nested/b.txt', 'b');
+    await neighbour.putText('a.txt', 'kept');
+
+    await first.clear();
+    assert.equal(await first.getText('a.txt'), null);
+    assert.equal(await first.getText('nested/b.txt'), null);
+    assert.equal(await neighbour.getText('a.txt'), 'kept');
+  });
+}
+
+test('keys that could escape the root are refused', () => {
+  const root = new StorageNamespace(new LocalStorageDriver({ root: os.tmpdir() }));
+  assert.throws(() => root.key('../etc/passwd'), /Invalid storage key/);
+  assert.throws(() => root.key(''), /Invalid storage key/);
+  assert.equal(root.key('./jobs//1/a.txt'), 'jobs/1/a.txt');
+  assert.throws(() => root.clear(), /storage root/);
+});
+
+test('unknown drivers and an S3 driver without a bucket are configuration errors', () => {
+  assert.throws(() => createStorage({ driver: 'ftp' }), /Unknown STORAGE_DRIVER/);
+  assert.throws(() => new S3StorageDriver({ prefix: '' }), /S3_BUCKET/);
+});
+
+test('S3 object keys carry the prefix', () => {
+  const driver = new S3StorageDriver({ bucket: 'b', prefix: 'research/' });
+  assert.equal(driver.describe('jobs/1/a.txt'), 's3://b/research/jobs/1/a.txt');
+});
+
+describe('local driver', () => {
+  let directory;
+  storageContract(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'puc-storage-test-'));
+    return createStorage({ driver: 'local', local: { root: directory } });
+  });
+  after(() => fs.rm(directory, { recursive: true, force: true }));
+});
+
+describe('S3 driver', { skip: !S3_TEST.endpoint && 'set TEST_S3_ENDPOINT to run against MinIO or another S3 server' }, () => {
+  const prefix = `test-${process.pid}-${Date.now()}`;
+  let root;
+  storageContract(async () => {
+    const { S3Client, CreateBucketCommand } = await import('@aws-sdk/client-s3');
+    const client = new S3Client({
+      region: 'us-east-1',
+      endpoint: S3_TEST.endpoint,
+      forcePathStyle: true,
+      credentials: { accessKeyId: S3_TEST.accessKeyId, secretAccessKey: S3_TEST.secretAccessKey }
+    });
+    await client.send(new CreateBucketCommand({ Bucket: S3_TEST.bucket })).catch(error => {
+      if (!['BucketAlreadyOwnedByYou', 'BucketAlreadyExists'].includes(error.name)) throw error;
+    });
+
+    root = createStorage({
+      driver: 's3',
+      s3: { ...S3_TEST, prefix, region: 'us-east-1', forcePathStyle: true }
+    });
+    return root;
+  });
+  after(() => root?.namespace('jobs').clear());
+});
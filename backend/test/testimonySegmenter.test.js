@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentTestimony, formatPageSpan, formatPageLabelSpan } from '../src/services/testimonySegmenter.js';
+
+test('units split at each question and keep their answers', () => {
+  const units = segmentTestimony([{
+    pageNumber: 1,
+    content: [
+      'DIRECT TESTIMONY OF JANE KALICH',
+      '',
+      'Q. Please state your name.',
+      'A. Jane Kalich.',
+      'Q. What is the Company requesting?',
+      'A. A 10.4% return on equity.',
+      '',
+      'That figure reflects current markets.'
+    ].join('\n')
+  }]);
+
+  assert.deepEqual(units.map(unit => unit.question), [null, 'Please state your name.', 'What is the Company requesting?']);
+  assert.equal(units[0].text, 'DIRECT TESTIMONY OF JANE KALICH');
+  assert.equal(units[2].text, 'Q. What is the Company requesting?\nA. A 10.4% return on equity.\n\nThat figure reflects current markets.');
+  assert.deepEqual(units.map(unit => unit.index), [0, 1, 2]);
+});
+
+test('units carry page and line spans across page breaks', () => {
+  const units = segmentTestimony([
+    { pageNumber: 3, content: 'Q. Why?\nA. Because capital costs\nhave risen.' },
+    { pageNumber: 4, content: 'They are still rising.\nQ. Anything else?\nA. No.' }
+  ]);
+  assert.deepEqual(units.map(({ startPage, endPage, startLine, endLine }) => ({ startPage, endPage, startLine, endLine })), [
+    { startPage: 3, endPage: 4, startLine: 1, endLine: 1 },
+    { startPage: 4, endPage: 4, startLine: 2, endLine: 3 }
+  ]);
+});
+
+test('margin line numbers are used when the page has them', () => {
+  const units = segmentTestimony([{
+    pageNumber: 2,
+    content: '',
+    lines: [
+      { text: 'Q. Is the cost of debt', lineNumber: 7 },
+      { text: 'reasonable?', lineNumber: 8 },
+      { text: 'A. Yes.', lineNumber: 9 }
+    ]
+  }]);
+  assert.equal(units[0].question, 'Is the cost of debt reasonable?');
+  assert.equal(units[0].startLine, 7);
+  assert.equal(units[0].endLine, 9);
+});
+
+test('a question heading stops at its question mark and skips unnumbered lines', () => {
+  const units = segmentTestimony([{
+    pageNumber: 1,
+    content: '',
+    lines: [
+      { text: 'Q. Do you agree?', lineNumber: 1 },
+      { text: 'Kalich, Di 1', lineNumber: null },
+      { text: 'Yes, I do.', lineNumber: 2 }
+    ]
+  }]);
+  assert.equal(units[0].question, 'Do you agree?');
+});
+
+test('long questions are cut for the heading', () => {
+  const [unit] = segmentTestimony([{ pageNumber: 1, content: `Q. ${'Why '.repeat(100)}?\nA. Because.` }]);
+  assert.ok(unit.question.length <= 240);
+  assert.ok(unit.question.endsWith('…'));
+});
+
+test('page spans and printed labels', () => {
+  assert.equal(formatPageSpan(12, 13), 'pages 12–13');
+  assert.equal(formatPageSpan(12, 12), 'page 12');
+  assert.equal(formatPageSpan(null, null), null);
+  assert.equal(formatPageLabelSpan('Di 12', 'Di 13'), 'Di 12–13');
+  assert.equal(formatPageLabelSpan('Di 12', null), 'Di 12');
+  assert.equal(formatPageLabelSpan('Di 30', 'Reb 1'), 'Di 30–Reb 1');
+  assert.equal(formatPageLabelSpan(null, 'Di 3'), null);
+});